@@ -1,1068 +1,6354 @@
 // EasyCSS Enhanced Framework JavaScript v2.0
 // Comprehensive interactive components and utilities with RTL support
+// UMD build: window.easyCSSEnhanced for script tags, named exports through CommonJS/AMD.
+// The whole file loads as one unit; per-component ES modules are not split out yet
+
+(function (root, factory) {
+    if (typeof define === 'function' && define.amd) {
+        define([], () => factory(root, false));
+    } else if (typeof module === 'object' && module.exports) {
+        module.exports = factory(root, false);
+    } else {
+        factory(root, true);
+    }
+})(typeof self !== 'undefined' ? self : this, function (root, isGlobalScript) {
+    // Counter behind EasyCSSEnhanced.uniqueId()
+    let idCounter = 0;
+
+    class EasyCSSEnhanced {
+        constructor(options = {}) {
+            const defaults = EasyCSSEnhanced.defaults;
+            this.options = {
+                ...defaults,
+                ...options,
+                shortcuts: options.shortcuts === false ? {} : { ...defaults.shortcuts, ...options.shortcuts }
+            };
+            // Usable before mount() in the browser; stays null when constructed during SSR
+            this.root = this.options.root || (typeof document !== 'undefined' ? document : null);
+            this.components = new Map();
+            this.observers = new Map();
+            this.initialized = new WeakMap();
+            this.cleanups = new Map();
+            this.timeouts = new Map();
+            this.theme = 'light';
+            this.themePreference = this.options.defaultTheme;
+            this.direction = 'ltr';
+            this.mounted = false;
+            this.themes = new Map();
+            this.themeStyle = null;
+            this.tokens = new DesignTokens(this);
+            this.contrast = new ContrastChecker(this);
+            this.modalManager = new ModalManager(this);
+            this.tooltipManager = new TooltipManager(this);
+            this.toastManager = new ToastManager(this);
+            this.positioners = new WeakMap();
+            this.validators = new Map();
+
+            // Instance-bound helpers, e.g. easyCSSEnhanced.toast.promise(save(), { loading, success, error })
+            const toast = (config) => this.showToast(config);
+            this.toast = Object.assign(toast, {
+                show: toast,
+                hide: (element) => this.hideToast(element),
+                update: (id, config) => this.updateToast(id, config),
+                promise: (promise, messages, config) => this.toastPromise(promise, messages, config)
+            });
+
+            const themes = { ...EasyCSSEnhanced.builtInThemes, ...this.options.themes };
+            Object.keys(themes).forEach(name => this.registerTheme(name, themes[name]));
+
+            if (!EasyCSSEnhanced.instance) {
+                EasyCSSEnhanced.instance = this;
+            }
+        }
+
+        // Browser access starts here, so the class can be imported and constructed during SSR
+        mount() {
+            if (this.mounted) return this;
+
+            this.mounted = true;
+            this.root = this.options.root || document;
+            this.themePreference = this.readStorage(this.options.storageKey) || this.options.defaultTheme;
+            this.theme = this.resolveTheme(this.themePreference);
+            this.direction = document.documentElement.dir || 'ltr';
+
+            // destroy() hands <html> back with the theme and direction the page started with
+            const html = document.documentElement;
+            const initialAttributes = { 'data-theme': html.getAttribute('data-theme'), dir: html.getAttribute('dir') };
+            this.addCleanup(this, () => {
+                Object.keys(initialAttributes).forEach(name => {
+                    if (initialAttributes[name] === null) html.removeAttribute(name);
+                    else html.setAttribute(name, initialAttributes[name]);
+                });
+            });
+
+            if (!EasyCSSEnhanced.instance) {
+                EasyCSSEnhanced.instance = this;
+            }
+
+            this.init();
+            return this;
+        }
+
+        init() {
+            // Initialize when DOM is ready
+            if (document.readyState === 'loading') {
+                this.addListener(this, document, 'DOMContentLoaded', () => this.initializeComponents(), { once: true });
+            } else {
+                this.initializeComponents();
+            }
+        }
+
+        initializeComponents() {
+            const initializers = {
+                theme: () => this.initTheme(),
+                modals: () => this.initModals(),
+                drawers: () => this.initDrawers(),
+                dropdowns: () => this.initDropdowns(),
+                tabs: () => this.initTabs(),
+                accordions: () => this.initAccordions(),
+                tooltips: () => this.initTooltips(),
+                forms: () => this.initForms(),
+                comboboxes: () => this.initComboboxes(),
+                tables: () => this.initTables(),
+                toasts: () => this.initToasts(),
+                navbar: () => this.initNavbarToggle(),
+                smoothScroll: () => this.initSmoothScroll(),
+                animations: () => this.initAnimationTriggers(),
+                loading: () => this.initLoadingStates(),
+                alerts: () => this.initAlertClose(),
+                language: () => this.initLanguageToggle(),
+                accessibility: () => this.initAccessibility(),
+                performance: () => this.initPerformanceOptimizations()
+            };
+
+            Object.keys(initializers).forEach(name => {
+                if (this.isEnabled(name)) initializers[name]();
+            });
+
+            this.initRegisteredComponents();
+
+            if (this.options.observe) {
+                this.initMutationObserver();
+            }
+
+            if (this.options.devMode) {
+                this.initContrastAudit();
+            }
+
+            // Emit ready event
+            this.emit('easycss:ready', { framework: this });
+        }
+
+        // Enhanced Theme Management
+        initTheme() {
+            // Fall back to light if the stored theme was never registered on this page
+            if (!this.themes.has(this.theme)) {
+                this.theme = 'light';
+            }
+
+            // Set initial theme and any persisted brand palettes
+            this.renderThemeStyles();
+            this.tokens.restore().render();
+            document.documentElement.setAttribute('data-theme', this.theme);
+            this.updateThemeIcon(this.theme);
+
+            // Theme toggle handlers: data-theme-toggle="sepia" picks a theme, an empty value cycles
+            const toggles = this.root.querySelectorAll('[data-theme-toggle]');
+            toggles.forEach(toggle => {
+                this.addListener(toggle, toggle, 'click', () => {
+                    const theme = toggle.getAttribute('data-theme-toggle');
+                    if (theme) {
+                        this.setTheme(theme);
+                    } else {
+                        this.toggleTheme();
+                    }
+                });
+            });
+
+            // Follow the OS color scheme while the preference is "system"
+            if (window.matchMedia) {
+                const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+                this.addListener(this, mediaQuery, 'change', (e) => {
+                    if (this.themePreference === 'system') {
+                        this.applyTheme(e.matches ? 'dark' : 'light');
+                    }
+                });
+            }
+
+            this.addCleanup(this, () => {
+                if (this.themeStyle) {
+                    this.themeStyle.remove();
+                    this.themeStyle = null;
+                }
+            });
+        }
+
+        registerTheme(name, definition = {}) {
+            if (typeof name !== 'string' || !/^[a-z0-9_-]+$/i.test(name)) {
+                throw new Error(`EasyCSS: invalid theme name "${name}"`);
+            }
+
+            const tokens = {};
+            Object.keys(definition.tokens || {}).forEach(token => {
+                const property = token.startsWith('--') ? token : `--${token}`;
+                tokens[property] = String(definition.tokens[token]);
+            });
+
+            this.themes.set(name, {
+                label: name,
+                icon: '🎨',
+                colorScheme: 'light',
+                ...definition,
+                name,
+                tokens
+            });
+
+            if (this.mounted) {
+                this.renderThemeStyles();
+                this.updateThemeIcon(this.theme);
+
+                // A stored theme that wasn't registered yet at mount time is applied now
+                if (this.themePreference === name && this.theme !== name) {
+                    this.applyTheme(name);
+                }
+
+                this.emit('easycss:theme-registered', { theme: name });
+            }
+
+            return this;
+        }
+
+        unregisterTheme(name) {
+            if (EasyCSSEnhanced.builtInThemes[name]) {
+                throw new Error(`EasyCSS: the built-in "${name}" theme can't be removed`);
+            }
+
+            if (this.theme === name) {
+                this.useSystemTheme();
+            }
+
+            this.themes.delete(name);
+            if (this.mounted) {
+                this.renderThemeStyles();
+                this.updateThemeIcon(this.theme);
+            }
+            return this;
+        }
+
+        getThemes() {
+            return Array.from(this.themes.values());
+        }
+
+        hasTheme(name) {
+            return this.themes.has(name);
+        }
+
+        // Themes that toggleTheme() steps through, in registration order unless configured
+        getThemeCycle() {
+            const cycle = this.options.themeCycle || Array.from(this.themes.keys());
+            return cycle.filter(name => this.themes.has(name));
+        }
+
+        getNextTheme() {
+            const cycle = this.getThemeCycle();
+            const index = cycle.indexOf(this.theme);
+            return cycle[(index + 1) % cycle.length] || this.theme;
+        }
+
+        toggleTheme() {
+            return this.setTheme(this.getNextTheme());
+        }
+
+        // Pins a theme as the user's override; "system" goes back to following the OS
+        setTheme(theme) {
+            if (theme === 'system') {
+                return this.useSystemTheme();
+            }
+
+            if (!this.themes.has(theme)) {
+                this.warn(`EasyCSS: unknown theme "${theme}". Registered themes: ${Array.from(this.themes.keys()).join(', ')}`);
+                return this;
+            }
+
+            this.themePreference = theme;
+            if (this.mounted) {
+                this.writeStorage(this.options.storageKey, theme);
+            }
+            return this.applyTheme(theme);
+        }
+
+        // Stored as "system" rather than cleared, so a non-system defaultTheme doesn't win on reload
+        useSystemTheme() {
+            this.themePreference = 'system';
+            if (this.mounted) {
+                this.writeStorage(this.options.storageKey, 'system');
+            }
+            return this.applyTheme(this.resolveTheme('system'));
+        }
+
+        resolveTheme(preference) {
+            if (preference !== 'system') return preference;
+
+            const prefersDark = typeof window !== 'undefined' && window.matchMedia &&
+                window.matchMedia('(prefers-color-scheme: dark)').matches;
+            return prefersDark ? 'dark' : 'light';
+        }
+
+        applyTheme(theme) {
+            const previousTheme = this.theme;
+            this.theme = theme;
+            if (!this.mounted) return this;
+
+            document.documentElement.setAttribute('data-theme', theme);
+            this.updateThemeIcon(theme);
+            this.emit('easycss:theme-changed', { theme, previousTheme, preference: this.themePreference });
+            return this;
+        }
+
+        updateThemeIcon() {
+            const next = this.themes.get(this.getNextTheme());
+            const icons = this.root.querySelectorAll('.theme-icon');
+            icons.forEach(icon => {
+                icon.textContent = next ? next.icon : '';
+            });
+        }
+
+        // Writes the token maps of registered themes as [data-theme] custom property rules
+        renderThemeStyles() {
+            const rules = this.getThemes()
+                .filter(theme => Object.keys(theme.tokens).length || !EasyCSSEnhanced.builtInThemes[theme.name])
+                .map(theme => {
+                    const declarations = Object.keys(theme.tokens)
+                        .map(property => `  ${property}: ${theme.tokens[property]};`);
+                    declarations.push(`  color-scheme: ${theme.colorScheme};`);
+                    return `[data-theme="${theme.name}"] {\n${declarations.join('\n')}\n}`;
+                });
+
+            if (!this.themeStyle) {
+                if (!rules.length) return;
+
+                this.themeStyle = document.createElement('style');
+                this.themeStyle.setAttribute('data-easycss-themes', '');
+                document.head.appendChild(this.themeStyle);
+            }
+
+            this.themeStyle.textContent = rules.join('\n\n');
+        }
+
+        // Development-only contrast audit, rerun whenever the theme or tokens change
+        initContrastAudit() {
+            const runAudit = EasyCSSEnhanced.debounce(() => {
+                if (this.mounted) this.auditContrast();
+            }, 300);
+
+            this.addListener(this, document, 'easycss:theme-changed', runAudit);
+            this.addListener(this, document, 'easycss:tokens-changed', runAudit);
+            runAudit();
+        }
+
+        auditContrast(options) {
+            return this.contrast.audit(options);
+        }
+
+        // Enhanced Modal Component
+        initModals(root = this.root) {
+            const modals = this.queryAll(root, EasyCSSEnhanced.componentSelectors.modal);
+            const triggers = this.queryAll(root, EasyCSSEnhanced.componentSelectors.modalTrigger);
+
+            triggers.forEach(trigger => {
+                if (!this.markInitialized(trigger, 'modalTrigger')) return;
+
+                this.addListener(trigger, trigger, 'click', (e) => {
+                    e.preventDefault();
+                    const modalId = trigger.getAttribute('data-modal-trigger');
+                    this.openModal(modalId);
+                });
+            });
+
+            modals.forEach(modal => Modal.getOrCreate(modal, {}, this));
+        }
+
+        openModal(modalId) {
+            const modal = typeof modalId === 'string'
+                ? this.root.querySelector(`[data-modal="${modalId}"]`)
+                : modalId;
+            if (!modal) return;
+
+            return Modal.getOrCreate(modal, {}, this).open();
+        }
+
+        closeModal(modal) {
+            if (!modal) return;
+            return Modal.getOrCreate(modal, {}, this).close();
+        }
+
+        // Enhanced Drawer Component
+        initDrawers(root = this.root) {
+            const drawers = this.queryAll(root, EasyCSSEnhanced.componentSelectors.drawer);
+            const triggers = this.queryAll(root, EasyCSSEnhanced.componentSelectors.drawerTrigger);
+
+            triggers.forEach(trigger => {
+                if (!this.markInitialized(trigger, 'drawerTrigger')) return;
+
+                const drawerId = trigger.getAttribute('data-drawer-trigger');
+                trigger.setAttribute('aria-expanded', 'false');
+                trigger.setAttribute('aria-haspopup', 'dialog');
+
+                this.addListener(trigger, trigger, 'click', (e) => {
+                    e.preventDefault();
+                    this.toggleDrawer(drawerId);
+                });
+            });
+
+            drawers.forEach(drawer => Drawer.getOrCreate(drawer, {}, this));
+        }
+
+        getDrawer(drawerId) {
+            const drawer = typeof drawerId === 'string'
+                ? this.root.querySelector(`[data-drawer="${drawerId}"]`)
+                : drawerId;
+            return drawer ? Drawer.getOrCreate(drawer, {}, this) : null;
+        }
+
+        openDrawer(drawerId) {
+            const drawer = this.getDrawer(drawerId);
+            return drawer ? drawer.open() : undefined;
+        }
+
+        closeDrawer(drawerId) {
+            const drawer = this.getDrawer(drawerId);
+            return drawer ? drawer.close() : undefined;
+        }
+
+        toggleDrawer(drawerId) {
+            const drawer = this.getDrawer(drawerId);
+            return drawer ? drawer.toggle() : undefined;
+        }
+
+        // Reusable focus containment for modals, drawers, menus and custom widgets
+        createFocusTrap(container, options) {
+            return new FocusTrap(container, options);
+        }
+
+        // The old trapFocus(container, focusableElements) form still works; the list is ignored
+        // because tabbable elements are now recomputed on every Tab press
+        trapFocus(container, options) {
+            if (options && typeof options.length === 'number' && typeof options !== 'string') {
+                if (!this.warnedTrapFocus) {
+                    this.warnedTrapFocus = true;
+                    this.warn('EasyCSS: trapFocus(container, focusableElements) is deprecated; pass an options object instead');
+                }
+                if (options.length === 0) return null;
+                options = {};
+            }
+            return this.createFocusTrap(container, options).activate();
+        }
+
+        // Promise-based dialogs built on the modal component
+        confirm(options) {
+            return this.openDialog('confirm', options);
+        }
+
+        prompt(options) {
+            return this.openDialog('prompt', options);
+        }
+
+        alert(options) {
+            return this.openDialog('alert', options);
+        }
+
+        // Resolves true/false for confirm, the entered text or null for prompt, and undefined for alert
+        openDialog(type, options = {}) {
+            const config = {
+                title: '',
+                message: '',
+                okText: 'OK',
+                cancelText: 'Cancel',
+                variant: 'primary',
+                defaultValue: '',
+                placeholder: '',
+                inputType: 'text',
+                required: false,
+                ...(typeof options === 'string' ? { message: options } : options)
+            };
+
+            const create = (tag, className, text) => {
+                const element = document.createElement(tag);
+                if (className) element.className = className;
+                if (text) element.textContent = text;
+                return element;
+            };
+
+            const id = EasyCSSEnhanced.uniqueId('dialog');
+            const modal = create('div', 'modal modal-sm');
+            modal.setAttribute('data-modal', id);
+            modal.setAttribute('data-dialog', type);
+
+            const content = create('form', 'modal-content');
+            content.setAttribute('role', type === 'prompt' ? 'dialog' : 'alertdialog');
+            content.setAttribute('aria-modal', 'true');
+
+            if (config.title) {
+                const header = create('div', 'modal-header');
+                const title = create('h2', 'modal-title', config.title);
+                title.id = `${id}-title`;
+                content.setAttribute('aria-labelledby', title.id);
+                header.appendChild(title);
+                content.appendChild(header);
+            }
+
+            const body = create('div', 'modal-body');
+            // Text by default; a DOM node or html: true (run through the sanitize hook) for rich messages
+            const richMessage = config.html || (config.message && typeof config.message === 'object');
+            const message = this.renderContent(create(richMessage ? 'div' : 'p'), config.message, {
+                html: config.html,
+                sanitize: config.sanitize
+            });
+            message.id = `${id}-message`;
+            content.setAttribute('aria-describedby', message.id);
+            body.appendChild(message);
+
+            let input = null;
+            if (type === 'prompt') {
+                input = create('input', 'form-input');
+                input.type = config.inputType;
+                input.value = config.defaultValue;
+                input.placeholder = config.placeholder;
+                input.required = config.required;
+                input.setAttribute('aria-labelledby', message.id);
+                body.appendChild(input);
+            }
+            content.appendChild(body);
+
+            const footer = create('div', 'modal-footer');
+            let cancelButton = null;
+            if (type !== 'alert') {
+                cancelButton = create('button', 'btn btn-secondary', config.cancelText);
+                cancelButton.type = 'button';
+                footer.appendChild(cancelButton);
+            }
+            const okButton = create('button', `btn btn-${config.variant}`, config.okText);
+            okButton.type = 'submit';
+            footer.appendChild(okButton);
+            content.appendChild(footer);
+
+            modal.appendChild(create('div', 'modal-backdrop'));
+            modal.appendChild(content);
+
+            const cancelValue = type === 'confirm' ? false : type === 'prompt' ? null : undefined;
+
+            return new Promise(resolve => {
+                let result = cancelValue;
+
+                // Dialogs stay inside a scoped root, e.g. an embedded widget, instead of the page body
+                (this.options.root || document.body).appendChild(modal);
+                const dialog = Modal.getOrCreate(modal, {}, this);
+
+                dialog.listen(content, 'submit', (e) => {
+                    e.preventDefault();
+                    result = type === 'prompt' ? input.value : type === 'confirm' ? true : undefined;
+                    dialog.close();
+                });
+
+                if (cancelButton) {
+                    dialog.listen(cancelButton, 'click', () => dialog.close());
+                }
+
+                // Escape, backdrop and cancel all land here with the cancel value
+                dialog.on('close', () => {
+                    modal.remove();
+                    this.dispose(modal);
+                    resolve(result);
+                });
+
+                // Destructive confirmations start on Cancel so Enter doesn't confirm by accident
+                const initialFocus = input || (config.variant === 'danger' && cancelButton) || okButton;
+                initialFocus.setAttribute('data-modal-initial-focus', '');
+
+                dialog.open();
+            });
+        }
+
+        // Enhanced Dropdown Component
+        initDropdowns(root = this.root) {
+            const dropdowns = this.queryAll(root, EasyCSSEnhanced.componentSelectors.dropdown);
+
+            dropdowns.forEach(dropdown => {
+                const trigger = dropdown.querySelector('[data-dropdown-trigger]');
+                const menu = dropdown.querySelector('.dropdown-menu');
+
+                if (!trigger || !menu) return;
+
+                Dropdown.getOrCreate(dropdown, {}, this);
+            });
+        }
+
+        toggleDropdown(dropdown) {
+            return Dropdown.getOrCreate(dropdown, {}, this).toggle();
+        }
+
+        openDropdown(dropdown) {
+            return Dropdown.getOrCreate(dropdown, {}, this).open();
+        }
+
+        closeDropdown(dropdown) {
+            return Dropdown.getOrCreate(dropdown, {}, this).close();
+        }
+
+        positionDropdown(dropdown) {
+            const instance = Dropdown.getInstance(dropdown);
+            return instance ? instance.positioner.update() : null;
+        }
+
+        handleDropdownKeyboard(e, dropdown) {
+            Dropdown.getOrCreate(dropdown, {}, this).handleKeydown(e);
+        }
+
+        // Enhanced Tabs Component
+        initTabs(root = this.root) {
+            const tabGroups = this.queryAll(root, EasyCSSEnhanced.componentSelectors.tabs);
+            tabGroups.forEach(tabGroup => Tabs.getOrCreate(tabGroup, {}, this));
+        }
+
+        switchTab(tabGroup, targetId) {
+            return Tabs.getOrCreate(tabGroup, {}, this).select(targetId);
+        }
+
+        handleTabKeyboard(e, triggers, currentIndex) {
+            const tabGroup = triggers[currentIndex] && triggers[currentIndex].closest('[data-tabs]');
+            if (tabGroup) {
+                Tabs.getOrCreate(tabGroup, {}, this).handleKeydown(e, currentIndex);
+            }
+        }
+
+        // Enhanced Accordion Component
+        initAccordions(root = this.root) {
+            const accordions = this.queryAll(root, EasyCSSEnhanced.componentSelectors.accordion);
+            accordions.forEach(accordion => Accordion.getOrCreate(accordion, {}, this));
+        }
+
+        toggleAccordionItem(item) {
+            const accordion = item.closest('[data-accordion]');
+            if (!accordion) return;
+
+            return Accordion.getOrCreate(accordion, {}, this).toggle(item);
+        }
+
+        handleAccordionKeyboard(e, accordion, items, currentIndex) {
+            Accordion.getOrCreate(accordion, {}, this).handleKeydown(e, currentIndex);
+        }
+
+        // Enhanced Tooltip Component
+        initTooltips(root = this.root) {
+            const tooltips = this.queryAll(root, EasyCSSEnhanced.componentSelectors.tooltip);
+
+            tooltips.forEach(tooltip => {
+                if (tooltip.getAttribute('data-tooltip') || tooltip.querySelector('.tooltip-content') ||
+                    tooltip.hasAttribute('data-tooltip-template')) {
+                    Tooltip.getOrCreate(tooltip, {}, this);
+                }
+            });
+        }
+
+        showTooltip(tooltip) {
+            return Tooltip.getOrCreate(tooltip, {}, this).show();
+        }
+
+        hideTooltip(tooltip) {
+            return Tooltip.getOrCreate(tooltip, {}, this).hide();
+        }
+
+        updateTooltip(tooltip, content, options) {
+            return Tooltip.getOrCreate(tooltip, {}, this).update(content, options);
+        }
+
+        // data-tooltip-placement, else the legacy .tooltip-top/bottom/left/right classes
+        getTooltipPlacement(tooltip) {
+            const placement = tooltip.getAttribute('data-tooltip-placement');
+            if (placement) return placement;
+
+            const side = ['top', 'bottom', 'left', 'right'].find(name => tooltip.classList.contains(`tooltip-${name}`));
+            return side || 'top';
+        }
+
+        // Reuses the tooltip's own positioner, or one cached per floating element
+        positionTooltip(tooltip, tooltipElement) {
+            if (!tooltipElement) return null;
+
+            const instance = Tooltip.getInstance(tooltip);
+            let positioner = instance && instance.content === tooltipElement ? instance.positioner
+                : this.positioners.get(tooltipElement);
+            if (!positioner || positioner.reference !== tooltip) {
+                positioner = new Positioner(tooltip, tooltipElement);
+                this.positioners.set(tooltipElement, positioner);
+            }
+
+            positioner.options.placement = this.getTooltipPlacement(tooltip);
+            return positioner.update();
+        }
+
+        // Enhanced Form Validation
+        initForms(root = this.root) {
+            const forms = this.queryAll(root, EasyCSSEnhanced.componentSelectors.form);
+
+            forms.forEach(form => {
+                if (form.tagName === 'FORM') FormValidator.getOrCreate(form, {}, this);
+            });
+        }
+
+        // Custom rules for data-validate-rules. validate(value, { field, form, param }) returns true,
+        // false, a message, or a Promise of one; message is a string or { en, ar, ... }
+        registerValidator(name, validate, message) {
+            this.validators.set(name, { validate, message });
+            return this;
+        }
+
+        validateForm(form) {
+            return FormValidator.getOrCreate(form, {}, this).validate({ focus: true });
+        }
+
+        // Enhanced Combobox Component
+        initComboboxes(root = this.root) {
+            const comboboxes = this.queryAll(root, EasyCSSEnhanced.componentSelectors.combobox);
+
+            comboboxes.forEach(combobox => Combobox.getOrCreate(combobox, {}, this));
+        }
+
+        // Enhanced Data Table Component
+        initTables(root = this.root) {
+            const tables = this.queryAll(root, EasyCSSEnhanced.componentSelectors.table);
+
+            tables.forEach(table => {
+                if (table.tagName === 'TABLE') DataTable.getOrCreate(table, {}, this);
+            });
+        }
+
+        // Writes content into an element: text by default, DOM nodes as they are, and HTML only
+        // when the caller marks it as trusted, passing it through the sanitize hook if one is set
+        renderContent(element, content, options = {}) {
+            element.textContent = '';
+            if (content === undefined || content === null) return element;
+
+            if (typeof content === 'object' && content.nodeType) {
+                element.appendChild(content);
+            } else if (options.html) {
+                const sanitize = options.sanitize !== undefined ? options.sanitize : this.options.sanitize;
+                element.innerHTML = typeof sanitize === 'function' ? sanitize(String(content), element) : String(content);
+            } else {
+                element.textContent = String(content);
+            }
+            return element;
+        }
+
+        // Parses a JSON config attribute; malformed values are reported instead of thrown
+        parseConfig(element, attribute) {
+            const value = element.getAttribute(attribute);
+            if (!value) return {};
+
+            try {
+                const config = JSON.parse(value);
+                if (!config || typeof config !== 'object' || Array.isArray(config)) {
+                    throw new TypeError('expected a JSON object');
+                }
+                return config;
+            } catch (error) {
+                this.warn(`EasyCSS: ignoring invalid ${attribute}="${value}"`, error);
+                this.emit('easycss:config-error', { element, attribute, value, error });
+                return null;
+            }
+        }
+
+        // Enhanced Toast Component
+        initToasts() {
+            const triggers = this.root.querySelectorAll('[data-toast-trigger]');
+
+            triggers.forEach(trigger => {
+                this.addListener(trigger, trigger, 'click', () => {
+                    const config = this.parseConfig(trigger, 'data-toast-trigger');
+                    if (config) this.showToast(config);
+                });
+            });
+
+            // Create the default toast container if it doesn't exist
+            this.toastManager.getContainer('top-end');
+            this.addCleanup(this, () => this.toastManager.clear());
+        }
+
+        showToast(config) {
+            return this.toastManager.show(config);
+        }
+
+        toastPromise(promise, messages, config) {
+            return this.toastManager.promise(promise, messages, config);
+        }
+
+        updateToast(id, config) {
+            const record = this.toastManager.update(id, config);
+            return record ? record.element : null;
+        }
+
+        hideToast(toast) {
+            this.toastManager.hide(toast);
+        }
+
+        // Enhanced Navbar Toggle
+        initNavbarToggle() {
+            const toggles = this.root.querySelectorAll('[data-navbar-toggle]');
+
+            toggles.forEach(toggle => {
+                this.addListener(toggle, toggle, 'click', () => {
+                    const navbar = toggle.closest('.navbar');
+                    const nav = navbar.querySelector('.navbar-nav');
+
+                    if (nav) {
+                        const isActive = nav.classList.contains('active');
+                        nav.classList.toggle('active');
+                        toggle.classList.toggle('active');
+
+                        // Update ARIA attributes
+                        toggle.setAttribute('aria-expanded', !isActive);
+                        nav.setAttribute('aria-hidden', isActive);
+
+                        this.emit('easycss:navbar-toggled', { navbar, nav, isActive: !isActive });
+                    }
+                });
+            });
+        }
+
+        // Enhanced Smooth Scroll
+        initSmoothScroll() {
+            const links = this.root.querySelectorAll('a[href^="#"]');
+
+            links.forEach(link => {
+                this.addListener(link, link, 'click', (e) => {
+                    const targetId = link.getAttribute('href');
+                    const target = this.root.querySelector(targetId);
+
+                    if (target) {
+                        e.preventDefault();
+
+                        const headerOffset = this.options.headerOffset; // Account for fixed headers
+                        const elementPosition = target.getBoundingClientRect().top;
+                        const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
+
+                        window.scrollTo({
+                            top: offsetPosition,
+                            behavior: 'smooth'
+                        });
+
+                        // Update focus for accessibility
+                        target.setAttribute('tabindex', '-1');
+                        target.focus();
+                        target.addEventListener('blur', () => {
+                            target.removeAttribute('tabindex');
+                        }, { once: true });
+
+                        this.emit('easycss:smooth-scroll', { target, link });
+                    }
+                });
+            });
+        }
+
+        // Enhanced Animation Triggers
+        initAnimationTriggers() {
+            if (!('IntersectionObserver' in window)) return;
+
+            const animatedElements = this.root.querySelectorAll('[class*="animate-"]');
+
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        entry.target.style.animationPlayState = 'running';
+                        this.emit('easycss:animation-triggered', { element: entry.target });
+                    }
+                });
+            }, {
+                threshold: 0.1,
+                rootMargin: '0px 0px -50px 0px'
+            });
+
+            animatedElements.forEach(element => {
+                // Respect reduced motion preference
+                if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+                    return;
+                }
+
+                element.style.animationPlayState = 'paused';
+                observer.observe(element);
+            });
+
+            this.addCleanup(this, () => {
+                animatedElements.forEach(element => {
+                    element.style.animationPlayState = '';
+                });
+            });
+
+            this.observers.set('animations', observer);
+        }
+
+        // Enhanced Loading States
+        initLoadingStates() {
+            // Loading button demo
+            const loadingButtons = this.root.querySelectorAll('[data-loading-btn]');
+            loadingButtons.forEach(btn => {
+                this.addListener(btn, btn, 'click', () => {
+                    btn.classList.add('btn-loading');
+                    this.addTimeout(btn, () => {
+                        btn.classList.remove('btn-loading');
+                    }, 3000);
+                });
+            });
+
+            // Loading demo trigger
+            const loadingDemo = this.root.querySelector('[data-loading-demo]');
+            if (loadingDemo) {
+                this.addListener(loadingDemo, loadingDemo, 'click', () => {
+                    this.showToast({
+                        type: 'info',
+                        title: 'Loading Demo',
+                        message: 'Check out the various loading states throughout the page!',
+                        duration: 3000
+                    });
+                });
+            }
+        }
+
+        // Alert Close Functionality
+        initAlertClose() {
+            const closeButtons = this.root.querySelectorAll('[data-alert-close]');
+            closeButtons.forEach(button => {
+                this.addListener(button, button, 'click', () => {
+                    const alert = button.closest('.alert');
+                    if (alert) {
+                        alert.style.opacity = '0';
+                        alert.style.transform = 'translateY(-10px)';
+                        this.addTimeout(button, () => {
+                            alert.remove();
+                        }, 300);
+                    }
+                });
+            });
+        }
+
+        // Language Toggle (RTL/LTR)
+        initLanguageToggle() {
+            const langButtons = this.root.querySelectorAll('[data-lang]');
+            langButtons.forEach(button => {
+                this.addListener(button, button, 'click', () => {
+                    const direction = button.getAttribute('data-lang');
+                    document.documentElement.dir = direction;
+                    this.direction = direction;
+
+                    // Update text content based on direction
+                    if (direction === 'rtl') {
+                        this.showToast({
+                            type: 'success',
+                            title: 'تم تغيير الاتجاه',
+                            message: 'تم تغيير اتجاه النص إلى العربية بنجاح',
+                            duration: 3000
+                        });
+                    } else {
+                        this.showToast({
+                            type: 'success',
+                            title: 'Direction Changed',
+                            message: 'Text direction changed to left-to-right successfully',
+                            duration: 3000
+                        });
+                    }
+
+                    this.emit('easycss:direction-changed', { direction });
+                });
+            });
+        }
+
+        // Enhanced Accessibility Features
+        initAccessibility() {
+            // Skip to main content link
+            this.createSkipLink();
+
+            // Enhanced focus management
+            this.initFocusManagement();
+
+            // Keyboard navigation improvements
+            this.initKeyboardNavigation();
+
+            // Screen reader announcements
+            this.initScreenReaderSupport();
+        }
+
+        createSkipLink() {
+            const skipLink = document.createElement('a');
+            skipLink.href = '#main-content';
+            skipLink.textContent = 'Skip to main content';
+            skipLink.className = 'sr-only focus:not-sr-only focus:absolute focus:top-4 focus:left-4 focus:z-50 focus:px-4 focus:py-2 focus:bg-primary focus:text-white focus:rounded';
+            document.body.insertBefore(skipLink, document.body.firstChild);
+            this.addCleanup(this, () => skipLink.remove());
+        }
+
+        initFocusManagement() {
+            // Visible focus indicators
+            this.addListener(this, document, 'keydown', (e) => {
+                if (e.key === 'Tab') {
+                    document.body.classList.add('keyboard-navigation');
+                }
+            });
+
+            this.addListener(this, document, 'mousedown', () => {
+                document.body.classList.remove('keyboard-navigation');
+            });
+
+            this.addCleanup(this, () => document.body.classList.remove('keyboard-navigation'));
+        }
+
+        initKeyboardNavigation() {
+            // Enhanced keyboard support for interactive elements
+            this.addListener(this, document, 'keydown', (e) => {
+                // Global keyboard shortcuts
+                const { shortcuts } = this.options;
+
+                if (shortcuts.theme && e.altKey && e.key === shortcuts.theme) {
+                    e.preventDefault();
+                    this.toggleTheme();
+                }
+
+                if (shortcuts.menu && e.altKey && e.key === shortcuts.menu) {
+                    e.preventDefault();
+                    const navbar = this.root.querySelector('.navbar-nav');
+                    if (navbar) {
+                        const toggle = this.root.querySelector('[data-navbar-toggle]');
+                        if (toggle) toggle.click();
+                    }
+                }
+            });
+        }
+
+        initScreenReaderSupport() {
+            // Live region for dynamic content announcements
+            const liveRegion = document.createElement('div');
+            liveRegion.setAttribute('aria-live', 'polite');
+            liveRegion.setAttribute('aria-atomic', 'true');
+            liveRegion.className = 'sr-only';
+            liveRegion.id = this.options.root ? EasyCSSEnhanced.uniqueId('live-region') : 'live-region';
+            (this.options.root || document.body).appendChild(liveRegion);
+            this.liveRegion = liveRegion;
+            this.addCleanup(this, () => {
+                liveRegion.remove();
+                this.liveRegion = null;
+            });
+        }
+
+        // Each instance announces through its own region, so embedded instances don't share one
+        announceToScreenReader(message) {
+            const liveRegion = this.liveRegion;
+            if (liveRegion) {
+                liveRegion.textContent = message;
+                this.addTimeout(this, () => {
+                    liveRegion.textContent = '';
+                }, 1000);
+            }
+        }
+
+        // Performance Optimizations
+        initPerformanceOptimizations() {
+            // Debounced resize handler
+            let resizeTimeout;
+            this.addListener(this, window, 'resize', () => {
+                clearTimeout(resizeTimeout);
+                resizeTimeout = setTimeout(() => {
+                    this.handleResize();
+                }, 250);
+            });
+            this.addCleanup(this, () => clearTimeout(resizeTimeout));
+
+            // Intersection Observer for performance
+            this.initLazyLoading();
+
+            // Prefetch important resources
+            this.prefetchResources();
+        }
+
+        handleResize() {
+            // Open dropdowns and visible tooltips follow resizes through their own Positioner
+            this.emit('easycss:resize', { width: window.innerWidth, height: window.innerHeight });
+        }
+
+        initLazyLoading() {
+            if (!('IntersectionObserver' in window)) return;
+
+            const lazyElements = this.root.querySelectorAll('[data-lazy]');
+
+            const lazyObserver = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    if (entry.isIntersecting) {
+                        const element = entry.target;
+                        const src = element.getAttribute('data-lazy');
+
+                        if (element.tagName === 'IMG') {
+                            element.src = src;
+                        } else {
+                            element.style.backgroundImage = `url(${src})`;
+                        }
+
+                        element.removeAttribute('data-lazy');
+                        lazyObserver.unobserve(element);
+                    }
+                });
+            });
+
+            lazyElements.forEach(element => {
+                lazyObserver.observe(element);
+            });
+
+            this.observers.set('lazy', lazyObserver);
+        }
+
+        prefetchResources() {
+            // Prefetch critical resources
+            const criticalResources = [
+                // Add URLs of critical resources here
+            ];
+
+            criticalResources.forEach(url => {
+                const link = document.createElement('link');
+                link.rel = 'prefetch';
+                link.href = url;
+                document.head.appendChild(link);
+                this.addCleanup(this, () => link.remove());
+            });
+        }
+
+        // Dynamic Content Support
+        initMutationObserver() {
+            if (!('MutationObserver' in window)) return;
+
+            const observer = new MutationObserver((mutations) => {
+                mutations.forEach(mutation => {
+                    mutation.removedNodes.forEach(node => {
+                        // Nodes that were only moved are still connected and keep their bindings
+                        if (node.nodeType === Node.ELEMENT_NODE && !node.isConnected) {
+                            this.teardownWithin(node);
+                        }
+                    });
+
+                    mutation.addedNodes.forEach(node => {
+                        if (node.nodeType === Node.ELEMENT_NODE) {
+                            this.initializeWithin(node);
+                        }
+                    });
+                });
+            });
+
+            observer.observe(this.root === document ? document.body : this.root, { childList: true, subtree: true });
+            this.observers.set('mutations', observer);
+        }
+
+        initializeWithin(root) {
+            if (this.isEnabled('modals')) this.initModals(root);
+            if (this.isEnabled('drawers')) this.initDrawers(root);
+            if (this.isEnabled('dropdowns')) this.initDropdowns(root);
+            if (this.isEnabled('tabs')) this.initTabs(root);
+            if (this.isEnabled('accordions')) this.initAccordions(root);
+            if (this.isEnabled('tooltips')) this.initTooltips(root);
+            if (this.isEnabled('forms')) this.initForms(root);
+            if (this.isEnabled('comboboxes')) this.initComboboxes(root);
+            if (this.isEnabled('tables')) this.initTables(root);
+            this.initRegisteredComponents(root);
+        }
+
+        initRegisteredComponents(root = this.root) {
+            this.components.forEach(Component => {
+                if (!(Component && Component.prototype instanceof EasyComponent) || !Component.selector) return;
+
+                this.queryAll(root, Component.selector).forEach(element => {
+                    Component.getOrCreate(element, {}, this);
+                });
+            });
+        }
+
+        teardownWithin(root) {
+            const selector = Object.values(EasyCSSEnhanced.componentSelectors).join(', ');
+            const owners = new Set(this.queryAll(root, selector));
+
+            // Also release anything else bound inside the subtree (triggers, links, buttons)
+            this.cleanups.forEach((cleanups, owner) => {
+                if (owner instanceof Node && root.contains(owner)) {
+                    owners.add(owner);
+                }
+            });
+
+            owners.forEach(owner => this.teardownElement(owner));
+        }
+
+        teardownElement(element) {
+            const cleanups = this.cleanups.get(element) || [];
+            this.cleanups.delete(element);
+            cleanups.forEach(cleanup => cleanup());
+
+            const components = this.initialized.get(element);
+            if (!components) return;
+
+            this.initialized.delete(element);
+            this.emit('easycss:component-removed', { element, components: Array.from(components) });
+        }
+
+        queryAll(root, selector) {
+            const elements = Array.from(root.querySelectorAll(selector));
+            if (root.matches && root.matches(selector)) {
+                elements.unshift(root);
+            }
+            return elements;
+        }
+
+        markInitialized(element, component) {
+            let components = this.initialized.get(element);
+            if (!components) {
+                components = new Set();
+                this.initialized.set(element, components);
+            }
+
+            if (components.has(component)) return false;
+
+            components.add(component);
+            return true;
+        }
+
+        addCleanup(owner, cleanup) {
+            if (!this.cleanups.has(owner)) {
+                this.cleanups.set(owner, []);
+            }
+            this.cleanups.get(owner).push(cleanup);
+            return this;
+        }
+
+        addListener(owner, target, event, handler, options) {
+            target.addEventListener(event, handler, options);
+            return this.addCleanup(owner, () => target.removeEventListener(event, handler, options));
+        }
+
+        // Timeouts tied to an owner and cleared when it is torn down, so callbacks never run
+        // against removed DOM
+        addTimeout(owner, callback, delay) {
+            let timers = this.timeouts.get(owner);
+            if (!timers) {
+                timers = new Set();
+                this.timeouts.set(owner, timers);
+                this.addCleanup(owner, () => {
+                    timers.forEach(timer => clearTimeout(timer));
+                    this.timeouts.delete(owner);
+                });
+            }
+
+            const timer = setTimeout(() => {
+                timers.delete(timer);
+                callback();
+            }, delay);
+            timers.add(timer);
+            return timer;
+        }
+
+        // Console warnings from this instance and its components; the silent option turns them off
+        warn(...args) {
+            if (!this.options.silent) {
+                console.warn(...args);
+            }
+            return this;
+        }
+
+        // Utility Methods
+        static debounce(func, wait) {
+            let timeout;
+            const executedFunction = function(...args) {
+                const later = () => {
+                    clearTimeout(timeout);
+                    func(...args);
+                };
+                clearTimeout(timeout);
+                timeout = setTimeout(later, wait);
+            };
+
+            // Drops a pending call, e.g. when the component using it is torn down
+            executedFunction.cancel = () => clearTimeout(timeout);
+            return executedFunction;
+        }
+
+        static throttle(func, limit) {
+            let inThrottle;
+            return function() {
+                const args = arguments;
+                const context = this;
+                if (!inThrottle) {
+                    func.apply(context, args);
+                    inThrottle = true;
+                    setTimeout(() => inThrottle = false, limit);
+                }
+            };
+        }
+
+        // Enhanced Event System
+        on(event, callback) {
+            document.addEventListener(event, callback);
+            return this;
+        }
+
+        off(event, callback) {
+            document.removeEventListener(event, callback);
+            return this;
+        }
+
+        emit(event, data = {}) {
+            const customEvent = new CustomEvent(event, { 
+                detail: { ...data, timestamp: Date.now() } 
+            });
+            document.dispatchEvent(customEvent);
+            return this;
+        }
+
+        // Storage access fails in private modes and sandboxed frames, which shouldn't break the page
+        readStorage(key) {
+            try {
+                return window.localStorage.getItem(key);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        writeStorage(key, value) {
+            try {
+                if (value === null) {
+                    window.localStorage.removeItem(key);
+                } else {
+                    window.localStorage.setItem(key, value);
+                }
+            } catch (error) {
+                // Ignore, the value just won't persist
+            }
+        }
+
+        // Configuration
+        isEnabled(component) {
+            const { components } = this.options;
+            return components === 'all' || components.includes(component);
+        }
+
+        // Component Management
+        registerComponent(name, component) {
+            this.components.set(name, component);
+
+            // Component classes with a selector are wired up like the built-in ones
+            if (component && component.prototype instanceof EasyComponent && document.readyState !== 'loading') {
+                this.initRegisteredComponents();
+            }
+            return this;
+        }
+
+        getComponent(name) {
+            return this.components.get(name);
+        }
+
+        // Cleanup
+        dispose(element) {
+            this.teardownWithin(element);
+            return this;
+        }
+
+        destroy() {
+            // Clean up observers
+            this.observers.forEach(observer => {
+                observer.disconnect();
+            });
+            this.observers.clear();
+
+            // Remove every tracked listener, timer and injected element
+            Array.from(this.cleanups.keys()).forEach(owner => this.teardownElement(owner));
+            this.initialized = new WeakMap();
+
+            // Clean up components
+            this.components.clear();
+
+            if (EasyCSSEnhanced.instance === this) {
+                EasyCSSEnhanced.instance = null;
+            }
+
+            this.mounted = false;
+
+            this.emit('easycss:destroyed');
+        }
+
+        // Public API Methods
+        showModal(modalId) {
+            return this.openModal(modalId);
+        }
+
+        hideModal(modal) {
+            return this.closeModal(modal);
+        }
+
+        showDropdown(dropdown) {
+            return this.openDropdown(dropdown);
+        }
+
+        hideDropdown(dropdown) {
+            return this.closeDropdown(dropdown);
+        }
+
+        notify(config) {
+            return this.showToast(config);
+        }
+
+        setDirection(direction) {
+            document.documentElement.dir = direction;
+            this.direction = direction;
+            this.emit('easycss:direction-changed', { direction });
+            return this;
+        }
+
+        getTheme() {
+            return this.theme;
+        }
+
+        getThemePreference() {
+            return this.themePreference;
+        }
+
+        getDirection() {
+            return this.direction;
+        }
+
+        // Default construction options, overridable per instance or through window.EasyCSSConfig
+        static get defaults() {
+            return {
+                root: null,
+                components: 'all',
+                storageKey: 'easycss-theme',
+                headerOffset: 80,
+                shortcuts: { theme: 't', menu: 'm' },
+                observe: true,
+                themes: {},
+                themeCycle: null,
+                defaultTheme: 'system',
+                devMode: false,
+                silent: false,
+                sanitize: null,
+                toastPosition: 'top-end',
+                maxToasts: 5
+            };
+        }
+
+        // Themes styled by Easy.css itself; more can be added with registerTheme()
+        static get builtInThemes() {
+            return {
+                light: { label: 'Light', icon: '☀️', colorScheme: 'light' },
+                dark: { label: 'Dark', icon: '🌙', colorScheme: 'dark' }
+            };
+        }
+
+        // Declarative components that are initialized automatically, including inside content added later
+        static get componentSelectors() {
+            return {
+                modal: '[data-modal]',
+                modalTrigger: '[data-modal-trigger]',
+                drawer: '[data-drawer]',
+                drawerTrigger: '[data-drawer-trigger]',
+                dropdown: '[data-dropdown]',
+                tabs: '[data-tabs]',
+                accordion: '[data-accordion]',
+                tooltip: '[data-tooltip]',
+                form: '[data-validate]',
+                combobox: '[data-combobox]',
+                table: '[data-table]'
+            };
+        }
+
+        // Server-side rendering helpers: render these into the initial HTML to avoid a theme flash
+        static getHtmlAttributes({ theme = 'light', direction = 'ltr' } = {}) {
+            return { 'data-theme': theme, dir: direction };
+        }
+
+        static renderHtmlAttributes(options) {
+            const attributes = EasyCSSEnhanced.getHtmlAttributes(options);
+            return Object.keys(attributes)
+                .map(name => `${name}="${EasyCSSEnhanced.escapeHtml(attributes[name])}"`)
+                .join(' ');
+        }
+
+        // Inline <head> script that applies the stored (or system) theme before first paint
+        static renderThemeScript({
+            storageKey = EasyCSSEnhanced.defaults.storageKey,
+            defaultTheme = EasyCSSEnhanced.defaults.defaultTheme
+        } = {}) {
+            const key = JSON.stringify(storageKey).replace(/</g, '\\u003c');
+            const fallback = JSON.stringify(defaultTheme).replace(/</g, '\\u003c');
+            return `<script>(function(){var t=null;try{t=localStorage.getItem(${key});}catch(e){}` +
+                `t=t||${fallback};if(t==='system'){t=window.matchMedia&&` +
+                `matchMedia('(prefers-color-scheme: dark)').matches?'dark':'light';}` +
+                `document.documentElement.setAttribute('data-theme',t);})();</script>`;
+        }
+
+        static uniqueId(prefix = 'component') {
+            idCounter += 1;
+            return `easycss-${prefix}-${idCounter}`;
+        }
+
+        static escapeHtml(value) {
+            return String(value)
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#39;');
+        }
+
+        // Convenience helpers on window for pages that don't hold a reference to the instance
+        static exposeGlobals(instance, target = window) {
+            target.showToast = (config) => instance.showToast(config);
+            target.showModal = (modalId) => instance.openModal(modalId);
+            target.hideModal = (modal) => instance.closeModal(modal);
+            target.toggleTheme = () => instance.toggleTheme();
+            target.setTheme = (theme) => instance.setTheme(theme);
+            target.setDirection = (direction) => instance.setDirection(direction);
+            return instance;
+        }
+
+        // Version and info
+        static get version() {
+            return '2.0.0';
+        }
+
+        static get info() {
+            return {
+                name: 'EasyCSS Enhanced',
+                version: this.version,
+                author: 'EasyCSS Team',
+                description: 'A comprehensive utility-first CSS framework with enhanced features',
+                features: [
+                    'Utility-first approach',
+                    'Interactive JavaScript components',
+                    'RTL language support',
+                    'Advanced dark mode',
+                    'Beautiful animations',
+                    'Accessibility-first design',
+                    'Performance optimized',
+                    'Modern CSS features'
+                ]
+            };
+        }
+    }
+
+    // Component instances, keyed by element and then by component name
+    const componentInstances = new WeakMap();
+
+    // Base class for per-element components with options and instance events
+    class EasyComponent {
+        constructor(element, options = {}, framework = EasyCSSEnhanced.instance) {
+            if (!element) {
+                throw new Error(`EasyCSS ${this.constructor.componentName}: an element is required`);
+            }
+
+            this.element = element;
+            this.framework = framework;
+            this.options = { ...this.constructor.defaults, ...options };
+            this.handlers = new Map();
+
+            let instances = componentInstances.get(element);
+            if (!instances) {
+                instances = new Map();
+                componentInstances.set(element, instances);
+            }
+            instances.set(this.constructor.componentName, this);
+
+            framework.markInitialized(element, this.constructor.componentName);
+            framework.addCleanup(element, () => this.release());
+        }
+
+        static get componentName() {
+            return 'component';
+        }
+
+        static get defaults() {
+            return {};
+        }
+
+        static getInstance(element) {
+            const instances = element && componentInstances.get(element);
+            return (instances && instances.get(this.componentName)) || null;
+        }
+
+        static getOrCreate(element, options, framework) {
+            return this.getInstance(element) || new this(element, options, framework);
+        }
+
+        listen(target, event, handler, options) {
+            this.framework.addListener(this.element, target, event, handler, options);
+            return this;
+        }
+
+        on(event, handler) {
+            if (!this.handlers.has(event)) {
+                this.handlers.set(event, new Set());
+            }
+            this.handlers.get(event).add(handler);
+            return this;
+        }
+
+        off(event, handler) {
+            const handlers = this.handlers.get(event);
+            if (handlers) {
+                handlers.delete(handler);
+            }
+            return this;
+        }
+
+        trigger(event, detail = {}) {
+            const handlers = this.handlers.get(event);
+            if (handlers) {
+                handlers.forEach(handler => handler.call(this, { type: event, instance: this, ...detail }));
+            }
+            return this;
+        }
+
+        release() {
+            const instances = componentInstances.get(this.element);
+            if (instances) {
+                instances.delete(this.constructor.componentName);
+            }
+            this.handlers.clear();
+        }
+
+        dispose() {
+            this.framework.teardownElement(this.element);
+        }
+    }
+
+    // Focus traps currently active, innermost last; only that one contains focus
+    const activeFocusTraps = [];
+
+    // Keeps keyboard focus inside a container while active and returns it on release
+    class FocusTrap {
+        constructor(container, options = {}) {
+            this.container = container;
+            this.options = {
+                initialFocus: null,
+                returnFocus: true,
+                contain: true,
+                ...options
+            };
+            this.active = false;
+            this.previousFocus = null;
+            this.handleKeydown = this.handleKeydown.bind(this);
+            this.handleFocusIn = this.handleFocusIn.bind(this);
+        }
+
+        static get focusableSelector() {
+            return 'a[href], area[href], button, input, select, textarea, iframe, summary, ' +
+                '[contenteditable]:not([contenteditable="false"]), [tabindex]';
+        }
+
+        static isTabbable(element) {
+            if (element.disabled || element.tabIndex < 0) return false;
+            if (element.type === 'hidden' || element.closest('[inert], [hidden]')) return false;
+
+            // Only the checked radio of a group takes part in tab order
+            if (element.type === 'radio' && !element.checked && element.name) {
+                const scope = element.form || element.ownerDocument;
+                const group = Array.from(scope.querySelectorAll('input[type="radio"]')).filter(radio => radio.name === element.name);
+                if (group.some(radio => radio.checked)) return false;
+            }
+
+            if (getComputedStyle(element).visibility === 'hidden') return false;
+            for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+                if (getComputedStyle(node).display === 'none') return false;
+            }
+            return true;
+        }
+
+        // Recomputed on every use, so content added, removed or disabled while open is respected
+        getTabbables() {
+            return Array.from(this.container.querySelectorAll(FocusTrap.focusableSelector)).filter(FocusTrap.isTabbable);
+        }
+
+        getInitialFocus() {
+            const { initialFocus } = this.options;
+            if (initialFocus) {
+                const element = typeof initialFocus === 'string'
+                    ? this.container.querySelector(initialFocus)
+                    : initialFocus;
+                if (element) return element;
+            }
+
+            return this.container.querySelector('[data-modal-initial-focus], [data-initial-focus], [autofocus]') ||
+                this.getTabbables()[0] ||
+                this.container;
+        }
+
+        isTop() {
+            return activeFocusTraps[activeFocusTraps.length - 1] === this;
+        }
+
+        // previousFocus lets callers capture the opener before they make it inert
+        activate({ previousFocus = document.activeElement } = {}) {
+            if (this.active) return this;
+
+            this.active = true;
+            this.previousFocus = previousFocus;
+            activeFocusTraps.push(this);
+
+            document.addEventListener('keydown', this.handleKeydown);
+            document.addEventListener('focusin', this.handleFocusIn);
+
+            this.focus(this.getInitialFocus());
+            return this;
+        }
+
+        deactivate({ returnFocus = this.options.returnFocus } = {}) {
+            if (!this.active) return this;
+
+            this.active = false;
+            activeFocusTraps.splice(activeFocusTraps.indexOf(this), 1);
+
+            document.removeEventListener('keydown', this.handleKeydown);
+            document.removeEventListener('focusin', this.handleFocusIn);
+
+            const previous = this.previousFocus;
+            this.previousFocus = null;
+            if (returnFocus && previous && previous.isConnected && typeof previous.focus === 'function' && !previous.closest('[inert]')) {
+                previous.focus();
+            }
+            return this;
+        }
+
+        focus(element) {
+            // The container itself is the last resort and needs to be focusable for that
+            if (element === this.container && !element.hasAttribute('tabindex')) {
+                element.setAttribute('tabindex', '-1');
+            }
+            element.focus();
+        }
+
+        handleKeydown(e) {
+            if (e.key !== 'Tab' || !this.options.contain || !this.isTop()) return;
+
+            const tabbables = this.getTabbables();
+            if (!tabbables.length) {
+                e.preventDefault();
+                this.focus(this.container);
+                return;
+            }
+
+            const first = tabbables[0];
+            const last = tabbables[tabbables.length - 1];
+            const active = document.activeElement;
+            const atEdge = active === this.container || !this.container.contains(active);
+
+            if (e.shiftKey && (active === first || atEdge)) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && (active === last || atEdge)) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+
+        handleFocusIn(e) {
+            if (!this.options.contain || !this.isTop() || this.container.contains(e.target)) return;
+
+            this.focus(this.getTabbables()[0] || this.container);
+        }
+    }
+
+    // Places a floating element (menu, tooltip) next to a reference element, flipping and
+    // shifting it to stay in the viewport, and keeps it attached while anything scrolls or resizes
+    class Positioner {
+        constructor(reference, floating, options = {}) {
+            this.reference = reference;
+            this.floating = floating;
+            this.options = { ...Positioner.defaults, ...options };
+            this.cleanups = [];
+            this.frame = null;
+            this.update = this.update.bind(this);
+            this.scheduleUpdate = this.scheduleUpdate.bind(this);
+        }
+
+        static get defaults() {
+            return {
+                placement: 'bottom',
+                offset: 8,
+                flip: true,
+                shift: true,
+                padding: 8,
+                arrow: null,
+                rtl: null
+            };
+        }
+
+        static get oppositeSides() {
+            return { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+        }
+
+        // 'start'/'end' sides and alignments follow the reading direction, so in RTL
+        // 'left' and 'right' are mirrored the same way Easy.css mirrors .tooltip-left/right
+        static resolvePlacement(placement, rtl) {
+            let [side, align = ''] = String(placement || 'bottom').split('-');
+
+            if (side === 'start') side = rtl ? 'right' : 'left';
+            else if (side === 'end') side = rtl ? 'left' : 'right';
+            else if (rtl && (side === 'left' || side === 'right')) side = Positioner.oppositeSides[side];
+
+            if (!Positioner.oppositeSides[side]) side = 'bottom';
+            if (align !== 'start' && align !== 'end') align = '';
+
+            return { side, align };
+        }
+
+        static coordsFor(side, align, reference, floating, offset, rtl) {
+            const vertical = side === 'top' || side === 'bottom';
+            let x;
+            let y;
+
+            if (side === 'top') y = reference.top - floating.height - offset;
+            if (side === 'bottom') y = reference.bottom + offset;
+            if (side === 'left') x = reference.left - floating.width - offset;
+            if (side === 'right') x = reference.right + offset;
+
+            if (vertical) {
+                // Horizontal alignment reads from the inline start edge
+                const fromStart = rtl ? align === 'end' : align === 'start';
+                const fromEnd = rtl ? align === 'start' : align === 'end';
+                x = fromStart ? reference.left
+                    : fromEnd ? reference.right - floating.width
+                    : reference.left + (reference.width - floating.width) / 2;
+            } else {
+                y = align === 'start' ? reference.top
+                    : align === 'end' ? reference.bottom - floating.height
+                    : reference.top + (reference.height - floating.height) / 2;
+            }
+
+            return { x, y };
+        }
+
+        static overflow(coords, floating, boundary) {
+            return {
+                top: boundary.top - coords.y,
+                bottom: coords.y + floating.height - boundary.bottom,
+                left: boundary.left - coords.x,
+                right: coords.x + floating.width - boundary.right
+            };
+        }
+
+        static getViewport(padding) {
+            const html = document.documentElement;
+            return {
+                top: padding,
+                left: padding,
+                right: (html.clientWidth || window.innerWidth) - padding,
+                bottom: (html.clientHeight || window.innerHeight) - padding
+            };
+        }
+
+        // Ancestors whose scrolling moves the element; the window is always included
+        static getScrollParents(element) {
+            const parents = [];
+            let node = element.parentElement;
+
+            while (node && node !== document.body && node !== document.documentElement) {
+                const style = getComputedStyle(node);
+                if (/(auto|scroll|overlay|hidden)/.test(style.overflow + style.overflowX + style.overflowY)) {
+                    parents.push(node);
+                }
+                node = node.parentElement;
+            }
+
+            parents.push(window);
+            return parents;
+        }
+
+        // Fixed positioning is relative to the nearest transformed/filtered ancestor, not the viewport
+        static getContainingBlock(element) {
+            let node = element.parentElement;
+
+            while (node && node !== document.documentElement) {
+                const style = getComputedStyle(node);
+                const contain = style.contain || '';
+                if ((style.transform && style.transform !== 'none') ||
+                    (style.perspective && style.perspective !== 'none') ||
+                    (style.filter && style.filter !== 'none') ||
+                    (style.backdropFilter && style.backdropFilter !== 'none') ||
+                    /paint|layout|strict|content/.test(contain) ||
+                    /transform|perspective|filter/.test(style.willChange || '')) {
+                    return node;
+                }
+                node = node.parentElement;
+            }
+
+            return null;
+        }
+
+        // Computes coordinates and final placement without touching the floating element
+        static compute(reference, floating, options = {}) {
+            const config = { ...Positioner.defaults, ...options };
+            const rtl = config.rtl !== null
+                ? config.rtl
+                : getComputedStyle(reference).direction === 'rtl';
+            const referenceRect = reference.getBoundingClientRect();
+            const floatingRect = { width: floating.offsetWidth, height: floating.offsetHeight };
+            const boundary = Positioner.getViewport(config.padding);
+
+            let { side, align } = Positioner.resolvePlacement(config.placement, rtl);
+            let coords = Positioner.coordsFor(side, align, referenceRect, floatingRect, config.offset, rtl);
+
+            // Flip to the opposite side when that side has more room
+            if (config.flip) {
+                const overflow = Positioner.overflow(coords, floatingRect, boundary);
+                if (overflow[side] > 0) {
+                    const opposite = Positioner.oppositeSides[side];
+                    const flipped = Positioner.coordsFor(opposite, align, referenceRect, floatingRect, config.offset, rtl);
+                    if (Positioner.overflow(flipped, floatingRect, boundary)[opposite] < overflow[side]) {
+                        side = opposite;
+                        coords = flipped;
+                    }
+                }
+            }
+
+            // Shift along the cross axis to stay inside the viewport
+            if (config.shift) {
+                if (side === 'top' || side === 'bottom') {
+                    coords.x = Math.max(boundary.left, Math.min(coords.x, boundary.right - floatingRect.width));
+                } else {
+                    coords.y = Math.max(boundary.top, Math.min(coords.y, boundary.bottom - floatingRect.height));
+                }
+            }
+
+            // Arrow points at the reference centre, kept clear of the floating element's corners
+            const arrowInset = 12;
+            const clampArrow = (value, size) => Math.max(arrowInset, Math.min(value, size - arrowInset));
+            const arrow = side === 'top' || side === 'bottom'
+                ? { x: clampArrow(referenceRect.left + referenceRect.width / 2 - coords.x, floatingRect.width), y: null }
+                : { x: null, y: clampArrow(referenceRect.top + referenceRect.height / 2 - coords.y, floatingRect.height) };
+
+            return {
+                x: Math.round(coords.x),
+                y: Math.round(coords.y),
+                placement: align ? `${side}-${align}` : side,
+                side,
+                arrow,
+                referenceHidden: Positioner.isClipped(reference, referenceRect)
+            };
+        }
+
+        // True when the reference has been scrolled out of one of its scroll containers
+        static isClipped(reference, rect) {
+            return Positioner.getScrollParents(reference).some(parent => {
+                if (parent === window) return false;
+                const bounds = parent.getBoundingClientRect();
+                return rect.bottom <= bounds.top || rect.top >= bounds.bottom ||
+                    rect.right <= bounds.left || rect.left >= bounds.right;
+            });
+        }
+
+        update() {
+            this.frame = null;
+            if (!this.reference.isConnected || !this.floating.isConnected) return null;
+
+            const result = Positioner.compute(this.reference, this.floating, this.options);
+            const container = Positioner.getContainingBlock(this.floating);
+            const origin = container ? container.getBoundingClientRect() : { left: 0, top: 0 };
+            const style = this.floating.style;
+
+            // Inline right/bottom/margin beat the stylesheet's absolute, RTL-mirrored offsets
+            style.position = 'fixed';
+            style.left = `${result.x - origin.left}px`;
+            style.top = `${result.y - origin.top}px`;
+            style.right = 'auto';
+            style.bottom = 'auto';
+            style.margin = '0';
+            this.floating.setAttribute('data-placement', result.placement);
+            this.floating.toggleAttribute('data-reference-hidden', result.referenceHidden);
+
+            if (result.arrow.x !== null) style.setProperty('--arrow-x', `${Math.round(result.arrow.x)}px`);
+            if (result.arrow.y !== null) style.setProperty('--arrow-y', `${Math.round(result.arrow.y)}px`);
+
+            const arrow = this.options.arrow;
+            if (arrow) {
+                arrow.style.left = result.arrow.x !== null ? `${Math.round(result.arrow.x)}px` : '';
+                arrow.style.top = result.arrow.y !== null ? `${Math.round(result.arrow.y)}px` : '';
+            }
+
+            return result;
+        }
+
+        scheduleUpdate() {
+            if (this.frame !== null) return;
+            this.frame = requestAnimationFrame(this.update);
+        }
+
+        // Positions now and keeps following scroll/resize of any ancestor until stop()
+        start() {
+            if (this.cleanups.length) {
+                this.update();
+                return this;
+            }
+
+            const targets = new Set([
+                ...Positioner.getScrollParents(this.reference),
+                ...Positioner.getScrollParents(this.floating)
+            ]);
+
+            targets.forEach(target => {
+                target.addEventListener('scroll', this.scheduleUpdate, { passive: true });
+                this.cleanups.push(() => target.removeEventListener('scroll', this.scheduleUpdate));
+            });
+
+            window.addEventListener('resize', this.scheduleUpdate);
+            this.cleanups.push(() => window.removeEventListener('resize', this.scheduleUpdate));
+
+            if ('ResizeObserver' in window) {
+                const observer = new ResizeObserver(this.scheduleUpdate);
+                observer.observe(this.reference);
+                observer.observe(this.floating);
+                this.cleanups.push(() => observer.disconnect());
+            }
+
+            this.update();
+            return this;
+        }
+
+        stop() {
+            this.cleanups.forEach(cleanup => cleanup());
+            this.cleanups = [];
+
+            if (this.frame !== null) {
+                cancelAnimationFrame(this.frame);
+                this.frame = null;
+            }
+            return this;
+        }
+
+        // Stops following and hands positioning back to the stylesheet
+        reset() {
+            this.stop();
+
+            const style = this.floating.style;
+            ['position', 'left', 'top', 'right', 'bottom', 'margin', '--arrow-x', '--arrow-y'].forEach(prop => style.removeProperty(prop));
+            this.floating.removeAttribute('data-placement');
+            this.floating.removeAttribute('data-reference-hidden');
+            return this;
+        }
+    }
+
+    // Open modals as a stack: only the topmost reacts to Escape/backdrop, and the rest of the page is inert
+    class ModalManager {
+        constructor(framework) {
+            this.framework = framework;
+            this.stack = [];
+            this.inertElements = new Set();
+            this.scrollLock = null;
+            this.listening = false;
+        }
+
+        get top() {
+            return this.stack[this.stack.length - 1] || null;
+        }
+
+        isTop(modal) {
+            return this.top === modal;
+        }
+
+        push(modal) {
+            this.remove(modal, false);
+            this.stack.push(modal);
+
+            if (this.stack.length === 1) {
+                this.lockScroll();
+            }
+
+            modal.element.style.zIndex = String(50 + this.stack.length);
+            this.listen();
+            this.updateInert();
+        }
+
+        remove(modal, update = true) {
+            const index = this.stack.indexOf(modal);
+            if (index === -1) return;
+
+            this.stack.splice(index, 1);
+            modal.element.style.zIndex = '';
+
+            if (!update) return;
+
+            if (!this.stack.length) {
+                this.unlockScroll();
+            }
+            this.updateInert();
+        }
+
+        // One keydown listener for the whole stack, so a single Escape closes a single layer
+        listen() {
+            if (this.listening) return;
+            this.listening = true;
+
+            this.framework.addListener(this.framework, document, 'keydown', (e) => {
+                const top = this.top;
+                if (e.key !== 'Escape' || e.defaultPrevented || !top || !top.options.closeOnEscape) return;
+
+                e.preventDefault();
+                top.close();
+            });
+
+            this.framework.addCleanup(this.framework, () => {
+                this.listening = false;
+                this.stack.slice().forEach(modal => this.remove(modal));
+            });
+        }
+
+        lockScroll() {
+            const body = document.body;
+            this.scrollLock = { overflow: body.style.overflow };
+            body.style.overflow = 'hidden';
+        }
+
+        unlockScroll() {
+            if (!this.scrollLock) return;
+
+            document.body.style.overflow = this.scrollLock.overflow;
+            this.scrollLock = null;
+        }
+
+        // Everything outside the top modal's ancestor chain becomes inert; live regions stay reachable
+        updateInert() {
+            this.inertElements.forEach(element => element.removeAttribute('inert'));
+            this.inertElements.clear();
+
+            const top = this.top;
+            if (!top) return;
+
+            for (let node = top.element; node && node !== document.body && node.parentElement; node = node.parentElement) {
+                Array.from(node.parentElement.children).forEach(sibling => {
+                    if (sibling === node || sibling.hasAttribute('inert')) return;
+                    if (/^(SCRIPT|STYLE|LINK|TEMPLATE)$/.test(sibling.tagName)) return;
+                    if (sibling.hasAttribute('aria-live') || sibling.hasAttribute('data-toast-container')) return;
+
+                    sibling.setAttribute('inert', '');
+                    this.inertElements.add(sibling);
+                });
+            }
+        }
+    }
+
+    class Modal extends EasyComponent {
+        constructor(element, options, framework) {
+            super(element, options, framework);
+
+            this.focusTrap = new FocusTrap(element, { contain: this.options.trapFocus });
+
+            element.querySelectorAll('[data-modal-close]').forEach(button => {
+                this.listen(button, 'click', () => this.close());
+            });
+
+            // Escape is handled by the modal manager, which only closes the topmost modal
+
+            // Close on backdrop click
+            const backdrop = element.querySelector('.modal-backdrop');
+            if (backdrop) {
+                this.listen(backdrop, 'click', () => {
+                    if (this.options.closeOnBackdrop && this.framework.modalManager.isTop(this)) this.close();
+                });
+            }
+
+            // Release the scroll lock and inert background if an open modal is removed from the page
+            this.framework.addCleanup(element, () => {
+                if (this.isOpen) {
+                    element.classList.remove('active');
+                    this.framework.modalManager.remove(this);
+                    this.focusTrap.deactivate();
+                }
+            });
+        }
+
+        static get componentName() {
+            return 'modal';
+        }
+
+        static get selector() {
+            return EasyCSSEnhanced.componentSelectors.modal;
+        }
+
+        static get defaults() {
+            return {
+                closeOnEscape: true,
+                closeOnBackdrop: true,
+                trapFocus: true
+            };
+        }
+
+        get id() {
+            return this.element.getAttribute('data-modal');
+        }
+
+        get isOpen() {
+            return this.element.classList.contains('active');
+        }
+
+        open() {
+            if (this.isOpen) return this;
+
+            const modal = this.element;
+            // Captured before push() makes the opener inert, which would drop its focus to <body>
+            const previousFocus = document.activeElement;
+            modal.classList.add('active');
+            this.framework.modalManager.push(this);
+
+            // Moves focus in (honoring autofocus / data-modal-initial-focus) and keeps it there
+            this.focusTrap.activate({ previousFocus });
+
+            this.trigger('open');
+            this.framework.emit('easycss:modal-opened', { modal, modalId: this.id });
+            return this;
+        }
+
+        close() {
+            if (!this.isOpen) return this;
+
+            const modal = this.element;
+            modal.classList.remove('active');
+            this.framework.modalManager.remove(this);
+
+            // Return focus to whatever opened this layer
+            this.focusTrap.deactivate();
+
+            this.trigger('close');
+            this.framework.emit('easycss:modal-closed', { modal });
+            return this;
+        }
+
+        toggle() {
+            return this.isOpen ? this.close() : this.open();
+        }
+    }
+
+    // Offcanvas drawer sliding in from start/end/top/bottom; shares the modal stack, so it gets
+    // the same scroll lock, inert background, Escape handling and focus trap as a modal
+    class Drawer extends EasyComponent {
+        constructor(element, options, framework) {
+            super(element, options, framework);
+
+            const placement = element.getAttribute('data-drawer-placement') || this.options.placement;
+            this.placement = Drawer.placements.includes(placement) ? placement : 'start';
+            element.classList.add('drawer', `drawer-${this.placement}`);
+
+            this.panel = element.querySelector('.drawer-panel') || element;
+            this.focusTrap = new FocusTrap(this.panel, { contain: this.options.trapFocus });
+            this.drag = null;
+
+            const title = this.panel.querySelector('.drawer-title');
+            if (!this.panel.hasAttribute('role')) this.panel.setAttribute('role', 'dialog');
+            this.panel.setAttribute('aria-modal', 'true');
+            if (title && !this.panel.hasAttribute('aria-labelledby')) {
+                if (!title.id) title.id = EasyCSSEnhanced.uniqueId('drawer-title');
+                this.panel.setAttribute('aria-labelledby', title.id);
+            }
+            element.setAttribute('aria-hidden', 'true');
+
+            element.querySelectorAll('[data-drawer-close]').forEach(button => {
+                this.listen(button, 'click', () => this.close());
+            });
+
+            const backdrop = element.querySelector('.drawer-backdrop');
+            if (backdrop) {
+                this.listen(backdrop, 'click', () => {
+                    if (this.options.closeOnBackdrop && this.framework.modalManager.isTop(this)) this.close();
+                });
+            }
+
+            if (this.options.swipeToClose) {
+                this.listen(this.panel, 'touchstart', (e) => this.startDrag(e), { passive: true });
+                this.listen(this.panel, 'touchmove', (e) => this.moveDrag(e), { passive: true });
+                this.listen(this.panel, 'touchend', () => this.endDrag());
+                this.listen(this.panel, 'touchcancel', () => this.endDrag(true));
+            }
+
+            // Release the scroll lock and inert background if an open drawer is removed from the page
+            this.framework.addCleanup(element, () => {
+                if (this.isOpen) {
+                    element.classList.remove('active');
+                    this.framework.modalManager.remove(this);
+                    this.focusTrap.deactivate();
+                }
+                this.resetDrag();
+            });
+        }
+
+        static get componentName() {
+            return 'drawer';
+        }
+
+        static get selector() {
+            return EasyCSSEnhanced.componentSelectors.drawer;
+        }
+
+        static get placements() {
+            return ['start', 'end', 'top', 'bottom'];
+        }
+
+        static get defaults() {
+            return {
+                placement: 'start',
+                closeOnEscape: true,
+                closeOnBackdrop: true,
+                trapFocus: true,
+                swipeToClose: true,
+                swipeThreshold: 0.3
+            };
+        }
+
+        get id() {
+            return this.element.getAttribute('data-drawer');
+        }
+
+        get isOpen() {
+            return this.element.classList.contains('active');
+        }
+
+        get triggers() {
+            return this.id ? Array.from(this.framework.root.querySelectorAll(`[data-drawer-trigger="${this.id}"]`)) : [];
+        }
+
+        open() {
+            if (this.isOpen) return this;
+
+            const drawer = this.element;
+            const previousFocus = document.activeElement;
+            drawer.classList.add('active');
+            drawer.setAttribute('aria-hidden', 'false');
+            this.triggers.forEach(trigger => trigger.setAttribute('aria-expanded', 'true'));
+            this.framework.modalManager.push(this);
+            this.focusTrap.activate({ previousFocus });
+
+            this.trigger('open');
+            this.framework.emit('easycss:drawer-opened', { drawer, drawerId: this.id });
+            return this;
+        }
+
+        close() {
+            if (!this.isOpen) return this;
+
+            const drawer = this.element;
+            this.resetDrag();
+            drawer.classList.remove('active');
+            drawer.setAttribute('aria-hidden', 'true');
+            this.triggers.forEach(trigger => trigger.setAttribute('aria-expanded', 'false'));
+            this.framework.modalManager.remove(this);
+
+            // Return focus to whatever opened the drawer
+            this.focusTrap.deactivate();
+
+            this.trigger('close');
+            this.framework.emit('easycss:drawer-closed', { drawer, drawerId: this.id });
+            return this;
+        }
+
+        toggle() {
+            return this.isOpen ? this.close() : this.open();
+        }
+
+        // Direction that closes the drawer, as [axis, sign]; start/end mirror under RTL
+        getCloseDirection() {
+            const rtl = getComputedStyle(this.element).direction === 'rtl';
+            switch (this.placement) {
+                case 'end':
+                    return ['x', rtl ? -1 : 1];
+                case 'top':
+                    return ['y', -1];
+                case 'bottom':
+                    return ['y', 1];
+                default:
+                    return ['x', rtl ? 1 : -1];
+            }
+        }
+
+        startDrag(e) {
+            if (!this.isOpen || e.touches.length !== 1) return;
+
+            const touch = e.touches[0];
+            const [axis, sign] = this.getCloseDirection();
+            this.drag = { axis, sign, startX: touch.clientX, startY: touch.clientY, startTime: Date.now(), offset: 0, active: false };
+        }
+
+        moveDrag(e) {
+            const drag = this.drag;
+            if (!drag) return;
+
+            const touch = e.touches[0];
+            const dx = touch.clientX - drag.startX;
+            const dy = touch.clientY - drag.startY;
+            const along = drag.axis === 'x' ? dx : dy;
+            const across = drag.axis === 'x' ? dy : dx;
+
+            if (!drag.active) {
+                // Wait until the gesture clearly runs along the closing axis, so scrolling still works
+                if (Math.abs(along) < 10 || Math.abs(along) < Math.abs(across)) return;
+                if (drag.axis === 'y' && this.isScrolledAway(e.target, drag.sign)) {
+                    this.drag = null;
+                    return;
+                }
+                drag.active = true;
+                this.element.classList.add('drawer-dragging');
+            }
+
+            drag.offset = Math.max(0, along * drag.sign);
+            const translate = drag.axis === 'x' ? 'translateX' : 'translateY';
+            this.panel.style.transform = `${translate}(${drag.offset * drag.sign}px)`;
+        }
+
+        // Swiping a vertical drawer closed only starts once its content is scrolled to the edge
+        isScrolledAway(target, sign) {
+            for (let node = target; node && node !== this.element; node = node.parentElement) {
+                if (node.scrollHeight > node.clientHeight) {
+                    if (sign > 0 && node.scrollTop > 0) return true;
+                    if (sign < 0 && node.scrollTop + node.clientHeight < node.scrollHeight) return true;
+                }
+            }
+            return false;
+        }
+
+        endDrag(cancel = false) {
+            const drag = this.drag;
+            this.drag = null;
+            if (!drag || !drag.active) return;
+
+            const size = drag.axis === 'x' ? this.panel.offsetWidth : this.panel.offsetHeight;
+            const velocity = drag.offset / Math.max(1, Date.now() - drag.startTime);
+            const farEnough = drag.offset > (size || 0) * this.options.swipeThreshold;
+
+            this.resetDrag();
+            if (!cancel && (farEnough || velocity > 0.5)) {
+                this.close();
+            }
+        }
+
+        resetDrag() {
+            this.element.classList.remove('drawer-dragging');
+            this.panel.style.transform = '';
+        }
+    }
+
+    // Menu button: role="menu" with roving focus, submenus, checkbox/radio items and typeahead
+    class Dropdown extends EasyComponent {
+        constructor(element, options, framework) {
+            super(element, options, framework);
+
+            this.triggerElement = element.querySelector('[data-dropdown-trigger]');
+            this.menu = element.querySelector('.dropdown-menu');
+            this.submenus = new Map();
+            this.typeahead = { buffer: '', timer: null };
+
+            if (this.menu) {
+                this.setupMenu(this.menu, this.triggerElement);
+            }
+            element.querySelectorAll('[data-dropdown-submenu]').forEach(item => this.setupSubmenu(item));
+
+            if (this.triggerElement) {
+                this.listen(this.triggerElement, 'click', (e) => {
+                    e.stopPropagation();
+                    if (this.isOpen) {
+                        this.close();
+                    } else {
+                        this.open({ focus: 'first' });
+                    }
+                });
+
+                this.listen(this.triggerElement, 'keydown', (e) => {
+                    if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+
+                    e.preventDefault();
+                    const focus = e.key === 'ArrowDown' ? 'first' : 'last';
+                    if (this.isOpen) {
+                        this.focusItem(this.menu, focus);
+                    } else {
+                        this.open({ focus });
+                    }
+                });
+            }
+
+            // Close dropdown when clicking outside
+            this.listen(document, 'click', (e) => {
+                if (this.options.closeOnOutsideClick && this.isOpen && !element.contains(e.target)) {
+                    this.close();
+                }
+            });
+
+            // Item activation by mouse; keyboard activation clicks the item so links still navigate
+            this.listen(element, 'click', (e) => {
+                const item = e.target.closest('.dropdown-item');
+                if (item && this.menu && this.menu.contains(item)) {
+                    this.select(item, e);
+                }
+            });
+
+            // Enhanced keyboard navigation
+            this.listen(element, 'keydown', (e) => {
+                this.framework.handleDropdownKeyboard(e, element);
+            });
+
+            // Collision-aware positioning, kept up to date while open
+            this.positioner = this.menu ? new Positioner(this.triggerElement || element, this.menu, {
+                placement: element.getAttribute('data-dropdown-placement') || this.options.placement,
+                offset: this.options.offset
+            }) : null;
+            if (this.positioner) {
+                this.framework.addCleanup(element, () => this.positioner.reset());
+            }
+
+            this.framework.addCleanup(element, () => clearTimeout(this.typeahead.timer));
+        }
+
+        static get componentName() {
+            return 'dropdown';
+        }
+
+        static get selector() {
+            return EasyCSSEnhanced.componentSelectors.dropdown;
+        }
+
+        static get defaults() {
+            return {
+                closeOthers: true,
+                closeOnOutsideClick: true,
+                closeOnSelect: true,
+                placement: 'bottom-start',
+                submenuPlacement: 'end-start',
+                offset: 8,
+                typeaheadTimeout: 500
+            };
+        }
+
+        get isOpen() {
+            return this.element.classList.contains('active');
+        }
+
+        get isRtl() {
+            return getComputedStyle(this.element).direction === 'rtl';
+        }
+
+        setupMenu(menu, trigger) {
+            if (!menu.id) menu.id = EasyCSSEnhanced.uniqueId('dropdown-menu');
+            menu.setAttribute('role', 'menu');
+
+            if (trigger) {
+                if (!trigger.id) trigger.id = EasyCSSEnhanced.uniqueId('dropdown-trigger');
+                trigger.setAttribute('aria-haspopup', 'menu');
+                trigger.setAttribute('aria-expanded', 'false');
+                trigger.setAttribute('aria-controls', menu.id);
+                menu.setAttribute('aria-labelledby', trigger.id);
+            }
+
+            Array.from(menu.children).forEach(child => {
+                if (child.classList.contains('dropdown-divider')) {
+                    child.setAttribute('role', 'separator');
+                }
+            });
+
+            this.getItems(menu, true).forEach(item => this.setupItem(item));
+        }
+
+        setupItem(item) {
+            item.setAttribute('tabindex', '-1');
+            if (item.hasAttribute('role')) return;
+
+            if (item.hasAttribute('data-dropdown-checkbox') || item.hasAttribute('data-dropdown-radio')) {
+                const checked = item.getAttribute('aria-checked') === 'true' || item.classList.contains('active');
+                item.setAttribute('role', item.hasAttribute('data-dropdown-checkbox') ? 'menuitemcheckbox' : 'menuitemradio');
+                item.setAttribute('aria-checked', String(checked));
+            } else {
+                item.setAttribute('role', 'menuitem');
+            }
+        }
+
+        // <div class="dropdown-submenu"><button class="dropdown-item" data-dropdown-submenu>…</button><div class="dropdown-menu">…</div></div>
+        setupSubmenu(trigger) {
+            const wrapper = trigger.parentElement;
+            const menu = wrapper && Array.from(wrapper.children).find(child => child.classList.contains('dropdown-menu'));
+            if (!menu) return;
+
+            this.setupMenu(menu, trigger);
+
+            const positioner = new Positioner(trigger, menu, {
+                placement: trigger.getAttribute('data-dropdown-placement') || this.options.submenuPlacement,
+                offset: 4
+            });
+            this.submenus.set(trigger, { wrapper, menu, positioner });
+            this.framework.addCleanup(this.element, () => positioner.reset());
+
+            this.listen(wrapper, 'mouseenter', () => this.openSubmenu(trigger));
+            this.listen(wrapper, 'mouseleave', () => this.closeSubmenu(trigger));
+        }
+
+        // Items that belong to this menu level, not to nested submenus
+        getItems(menu = this.menu, includeDisabled = false) {
+            if (!menu) return [];
+
+            return Array.from(menu.querySelectorAll('.dropdown-item')).filter(item => {
+                if (item.closest('.dropdown-menu') !== menu) return false;
+                return includeDisabled || !Dropdown.isDisabled(item);
+            });
+        }
+
+        static isDisabled(item) {
+            return item.disabled === true || item.getAttribute('aria-disabled') === 'true';
+        }
+
+        focusItem(menu, which) {
+            const items = this.getItems(menu);
+            const item = which === 'last' ? items[items.length - 1] : typeof which === 'number' ? items[which] : items[0];
+            if (item) item.focus();
+            return item || null;
+        }
+
+        getSubmenuFor(menu) {
+            for (const [trigger, submenu] of this.submenus) {
+                if (submenu.menu === menu) return { trigger, ...submenu };
+            }
+            return null;
+        }
+
+        open(options = {}) {
+            if (this.isOpen) return this;
+
+            // Close all other dropdowns
+            if (this.options.closeOthers) {
+                this.framework.root.querySelectorAll('[data-dropdown].active').forEach(d => {
+                    if (d !== this.element) this.framework.closeDropdown(d);
+                });
+            }
+
+            const dropdown = this.element;
+            dropdown.classList.add('active');
+            if (this.triggerElement) {
+                this.triggerElement.setAttribute('aria-expanded', 'true');
+            }
+            if (this.positioner) {
+                this.positioner.start();
+            }
+
+            if (options.focus) {
+                this.focusItem(this.menu, options.focus);
+            }
+
+            this.trigger('open');
+            this.framework.emit('easycss:dropdown-opened', { dropdown });
+            return this;
+        }
+
+        close(options = {}) {
+            if (!this.isOpen) return this;
+
+            const dropdown = this.element;
+            this.submenus.forEach((submenu, trigger) => this.closeSubmenu(trigger));
+            dropdown.classList.remove('active');
+            if (this.triggerElement) {
+                this.triggerElement.setAttribute('aria-expanded', 'false');
+                if (options.returnFocus) this.triggerElement.focus();
+            }
+            if (this.positioner) {
+                this.positioner.stop();
+            }
+
+            this.trigger('close');
+            this.framework.emit('easycss:dropdown-closed', { dropdown });
+            return this;
+        }
+
+        toggle() {
+            return this.isOpen ? this.close() : this.open();
+        }
+
+        openSubmenu(trigger, options = {}) {
+            const submenu = this.submenus.get(trigger);
+            if (!submenu || Dropdown.isDisabled(trigger)) return this;
+
+            // Only one submenu open per level
+            const parentMenu = trigger.closest('.dropdown-menu');
+            this.submenus.forEach((other, otherTrigger) => {
+                if (otherTrigger !== trigger && otherTrigger.closest('.dropdown-menu') === parentMenu) {
+                    this.closeSubmenu(otherTrigger);
+                }
+            });
+
+            if (!submenu.wrapper.classList.contains('active')) {
+                submenu.wrapper.classList.add('active');
+                trigger.setAttribute('aria-expanded', 'true');
+                submenu.positioner.start();
+            }
+
+            if (options.focus) {
+                this.focusItem(submenu.menu, options.focus);
+            }
+            return this;
+        }
+
+        closeSubmenu(trigger, options = {}) {
+            const submenu = this.submenus.get(trigger);
+            if (!submenu || !submenu.wrapper.classList.contains('active')) return this;
+
+            // Nested submenus go first
+            this.submenus.forEach((nested, nestedTrigger) => {
+                if (submenu.menu.contains(nestedTrigger)) this.closeSubmenu(nestedTrigger);
+            });
+
+            submenu.wrapper.classList.remove('active');
+            trigger.setAttribute('aria-expanded', 'false');
+            submenu.positioner.stop();
+
+            if (options.focus) trigger.focus();
+            return this;
+        }
+
+        // Activates an item: toggles checkbox/radio state, opens submenus, otherwise closes the menu
+        select(item, event) {
+            if (Dropdown.isDisabled(item)) {
+                if (event) event.preventDefault();
+                return this;
+            }
+
+            if (this.submenus.has(item)) {
+                this.openSubmenu(item, { focus: 'first' });
+                return this;
+            }
+
+            const role = item.getAttribute('role');
+            let checked = null;
+
+            if (role === 'menuitemcheckbox') {
+                checked = item.getAttribute('aria-checked') !== 'true';
+                item.setAttribute('aria-checked', String(checked));
+            } else if (role === 'menuitemradio') {
+                const group = item.getAttribute('data-dropdown-radio');
+                this.element.querySelectorAll('[role="menuitemradio"]').forEach(radio => {
+                    if (radio.getAttribute('data-dropdown-radio') === group) {
+                        radio.setAttribute('aria-checked', String(radio === item));
+                    }
+                });
+                checked = true;
+            }
+
+            const value = item.hasAttribute('data-value') ? item.getAttribute('data-value') : item.textContent.trim();
+            const detail = { dropdown: this.element, item, value, checked };
+
+            this.trigger('select', detail);
+            this.framework.emit('easycss:dropdown-select', detail);
+
+            // Checkbox and radio items stay open so several can be toggled in a row
+            if (checked === null && this.options.closeOnSelect) {
+                this.close({ returnFocus: true });
+            }
+            return this;
+        }
+
+        handleKeydown(e) {
+            const menu = e.target.closest && e.target.closest('.dropdown-menu');
+            if (!menu || !this.element.contains(menu) || !this.isOpen) return;
+
+            const items = this.getItems(menu);
+            const current = items.indexOf(document.activeElement);
+            const submenu = this.getSubmenuFor(menu);
+            const expandKey = this.isRtl ? 'ArrowLeft' : 'ArrowRight';
+            const collapseKey = this.isRtl ? 'ArrowRight' : 'ArrowLeft';
+
+            switch (e.key) {
+                case 'Escape':
+                    e.preventDefault();
+                    if (submenu) {
+                        this.closeSubmenu(submenu.trigger, { focus: true });
+                    } else {
+                        this.close({ returnFocus: true });
+                    }
+                    break;
+                case 'ArrowDown':
+                    e.preventDefault();
+                    this.focusItem(menu, current < items.length - 1 ? current + 1 : 0);
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this.focusItem(menu, current > 0 ? current - 1 : items.length - 1);
+                    break;
+                case 'Home':
+                    e.preventDefault();
+                    this.focusItem(menu, 'first');
+                    break;
+                case 'End':
+                    e.preventDefault();
+                    this.focusItem(menu, 'last');
+                    break;
+                case expandKey:
+                    if (this.submenus.has(document.activeElement)) {
+                        e.preventDefault();
+                        this.openSubmenu(document.activeElement, { focus: 'first' });
+                    }
+                    break;
+                case collapseKey:
+                    if (submenu) {
+                        e.preventDefault();
+                        this.closeSubmenu(submenu.trigger, { focus: true });
+                    }
+                    break;
+                case 'Enter':
+                case ' ':
+                    if (current !== -1) {
+                        e.preventDefault();
+                        items[current].click();
+                    }
+                    break;
+                case 'Tab':
+                    this.close();
+                    break;
+                default:
+                    if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+                        this.handleTypeahead(e.key, menu, items, current);
+                    }
+            }
+        }
+
+        // Focuses the next item whose label starts with the typed characters
+        handleTypeahead(key, menu, items, current) {
+            const typeahead = this.typeahead;
+            clearTimeout(typeahead.timer);
+            typeahead.buffer += key.toLowerCase();
+            typeahead.timer = setTimeout(() => {
+                typeahead.buffer = '';
+            }, this.options.typeaheadTimeout);
+
+            // Repeating one character cycles through the items starting with it
+            const buffer = typeahead.buffer;
+            const query = buffer.split('').every(char => char === buffer[0]) ? buffer[0] : buffer;
+            const start = query.length === 1 ? current + 1 : Math.max(current, 0);
+            const ordered = items.slice(start).concat(items.slice(0, start));
+            const match = ordered.find(item => item.textContent.trim().toLowerCase().startsWith(query));
+
+            if (match) match.focus();
+        }
+    }
+
+    // Tabs with role wiring, roving tabindex, optional manual activation, lazy panels and persistence
+    class Tabs extends EasyComponent {
+        constructor(element, options, framework) {
+            super(element, options, framework);
+
+            const data = element.dataset;
+            this.persist = data.tabsPersist || this.options.persist;
+            this.activation = data.tabsActivation || this.options.activation;
+            this.loading = new Map();
+
+            this.setupRoles();
+
+            this.triggers.forEach((trigger, index) => {
+                this.listen(trigger, 'click', (e) => {
+                    if (trigger.tagName === 'A') e.preventDefault();
+                    this.select(trigger.getAttribute('data-tab-trigger'));
+                });
+
+                // Keyboard navigation
+                this.listen(trigger, 'keydown', (e) => {
+                    this.framework.handleTabKeyboard(e, this.triggers, index);
+                });
+            });
+
+            if (this.persist === 'hash') {
+                this.listen(window, 'hashchange', () => {
+                    const id = this.getHashId();
+                    if (id && id !== this.activeId) this.select(id, { persist: false });
+                });
+            }
+
+            // Markup with no active tab is left with every panel closed
+            const initialId = this.getPersistedId() || this.activeId;
+            if (initialId) {
+                this.select(initialId, { silent: true, persist: false });
+            }
+        }
+
+        static get componentName() {
+            return 'tabs';
+        }
+
+        static get selector() {
+            return EasyCSSEnhanced.componentSelectors.tabs;
+        }
+
+        static get defaults() {
+            return {
+                persist: null,
+                activation: 'automatic',
+                orientation: null,
+                storageKey: null,
+                loader: null
+            };
+        }
+
+        // Triggers and panels of this group only, not of tabs nested inside a panel
+        get triggers() {
+            return Array.from(this.element.querySelectorAll('[data-tab-trigger]'))
+                .filter(trigger => trigger.closest('[data-tabs]') === this.element);
+        }
+
+        get panels() {
+            return Array.from(this.element.querySelectorAll('[data-tab-panel]'))
+                .filter(panel => panel.closest('[data-tabs]') === this.element);
+        }
+
+        get activeId() {
+            const active = this.triggers.find(trigger => trigger.classList.contains('active'));
+            return active ? active.getAttribute('data-tab-trigger') : null;
+        }
+
+        get orientation() {
+            const list = this.getTabList();
+            const declared = (list && list.getAttribute('aria-orientation')) || this.options.orientation;
+            if (declared) return declared;
+            return this.element.classList.contains('tabs-vertical') ? 'vertical' : 'horizontal';
+        }
+
+        get storageKey() {
+            const key = this.options.storageKey || this.element.dataset.tabsKey || this.element.id;
+            return key ? `${this.framework.options.storageKey}-tabs-${key}` : null;
+        }
+
+        getTabList() {
+            const first = this.triggers[0];
+            return first ? first.closest('.tab-list') || first.parentElement : null;
+        }
+
+        getTrigger(id) {
+            return this.triggers.find(trigger => trigger.getAttribute('data-tab-trigger') === id) || null;
+        }
+
+        getPanel(id) {
+            return this.panels.find(panel => panel.getAttribute('data-tab-panel') === id) || null;
+        }
+
+        setupRoles() {
+            const list = this.getTabList();
+            if (list) {
+                list.setAttribute('role', 'tablist');
+                if (this.orientation === 'vertical') {
+                    list.setAttribute('aria-orientation', 'vertical');
+                }
+            }
+
+            this.triggers.forEach(trigger => {
+                const id = trigger.getAttribute('data-tab-trigger');
+                const panel = this.getPanel(id);
+
+                if (!trigger.id) trigger.id = EasyCSSEnhanced.uniqueId('tab');
+                trigger.setAttribute('role', 'tab');
+                trigger.setAttribute('aria-selected', String(trigger.classList.contains('active')));
+
+                if (panel) {
+                    if (!panel.id) panel.id = EasyCSSEnhanced.uniqueId('tabpanel');
+                    trigger.setAttribute('aria-controls', panel.id);
+                    panel.setAttribute('role', 'tabpanel');
+                    panel.setAttribute('aria-labelledby', trigger.id);
+                    if (!panel.hasAttribute('tabindex')) panel.setAttribute('tabindex', '0');
+                }
+            });
+        }
+
+        // Keyed groups (id or data-tabs-key) share the hash as "#main=one&side=two" so several can
+        // persist on one page; an unkeyed group owns the whole hash as "#one"
+        get hashKey() {
+            return this.options.storageKey || this.element.dataset.tabsKey || this.element.id || null;
+        }
+
+        getHashId() {
+            const hash = window.location.hash.slice(1);
+            const id = hash.includes('=')
+                ? this.hashKey && new URLSearchParams(hash).get(this.hashKey)
+                : decodeURIComponent(hash);
+            return id && this.getTrigger(id) ? id : null;
+        }
+
+        getPersistedId() {
+            if (this.persist === 'hash') return this.getHashId();
+
+            if (this.persist === 'storage' && this.storageKey) {
+                const id = this.framework.readStorage(this.storageKey);
+                return id && this.getTrigger(id) ? id : null;
+            }
+            return null;
+        }
+
+        writePersistedId(id) {
+            if (this.persist === 'hash') {
+                const hash = window.location.hash.slice(1);
+                let next = encodeURIComponent(id);
+                if (this.hashKey) {
+                    const params = new URLSearchParams(hash.includes('=') ? hash : '');
+                    params.set(this.hashKey, id);
+                    next = params.toString();
+                }
+                if (hash !== next) {
+                    history.replaceState(history.state, '', `#${next}`);
+                }
+            } else if (this.persist === 'storage') {
+                if (this.storageKey) {
+                    this.framework.writeStorage(this.storageKey, id);
+                } else {
+                    this.framework.warn('EasyCSS tabs: data-tabs-persist="storage" needs an id or data-tabs-key');
+                }
+            }
+        }
+
+        select(targetId, options = {}) {
+            const tabGroup = this.element;
+            const triggers = this.triggers;
+            const panels = this.panels;
+
+            const targetTrigger = this.getTrigger(targetId);
+            const targetPanel = this.getPanel(targetId);
+            if (!targetTrigger || !targetPanel) return this;
+
+            const activeIndex = triggers.indexOf(targetTrigger);
+
+            // Remove active class from all triggers and panels
+            triggers.forEach(trigger => trigger.classList.remove('active'));
+            panels.forEach(panel => panel.classList.remove('active'));
+
+            // Add active class to target trigger and panel
+            targetTrigger.classList.add('active');
+            targetPanel.classList.add('active');
+
+            // Update ARIA attributes
+            triggers.forEach((trigger, index) => {
+                trigger.setAttribute('aria-selected', index === activeIndex);
+                trigger.setAttribute('tabindex', index === activeIndex ? '0' : '-1');
+            });
+
+            panels.forEach(panel => {
+                panel.setAttribute('aria-hidden', !panel.classList.contains('active'));
+            });
+
+            if (targetPanel.hasAttribute('data-tab-src')) {
+                this.loadPanel(targetPanel);
+            }
+
+            if (options.persist !== false) {
+                this.writePersistedId(targetId);
+            }
+
+            if (!options.silent) {
+                this.trigger('change', { targetId, activeIndex });
+                this.framework.emit('easycss:tab-changed', { tabGroup, targetId, activeIndex });
+            }
+            return this;
+        }
+
+        // Fetches data-tab-src into the panel on first activation; a failed load retries next time
+        loadPanel(panel) {
+            if (this.loading.has(panel)) return this.loading.get(panel);
+
+            const url = panel.getAttribute('data-tab-src');
+            const loader = this.options.loader || (src => fetch(src).then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.text();
+            }));
+            const tabGroup = this.element;
+
+            panel.setAttribute('aria-busy', 'true');
+
+            const request = Promise.resolve()
+                .then(() => loader(url, panel))
+                .then(html => {
+                    if (!panel.isConnected) return;
+
+                    this.framework.renderContent(panel, html, { html: true });
+                    panel.removeAttribute('data-tab-src');
+                    this.framework.initializeWithin(panel);
+
+                    this.trigger('load', { panel, url });
+                    this.framework.emit('easycss:tab-loaded', { tabGroup, panel, url });
+                })
+                .catch(error => {
+                    this.trigger('error', { panel, url, error });
+                    this.framework.emit('easycss:tab-load-error', { tabGroup, panel, url, error });
+                })
+                .then(() => {
+                    panel.removeAttribute('aria-busy');
+                    this.loading.delete(panel);
+                });
+
+            this.loading.set(panel, request);
+            return request;
+        }
+
+        // Arrow keys follow the orientation and reading direction; manual mode moves focus only
+        handleKeydown(e, currentIndex) {
+            const triggers = this.triggers;
+            const vertical = this.orientation === 'vertical';
+            const rtl = getComputedStyle(this.element).direction === 'rtl';
+            const previousKey = vertical ? 'ArrowUp' : rtl ? 'ArrowRight' : 'ArrowLeft';
+            const nextKey = vertical ? 'ArrowDown' : rtl ? 'ArrowLeft' : 'ArrowRight';
+            let newIndex;
+
+            switch (e.key) {
+                case previousKey:
+                    newIndex = currentIndex > 0 ? currentIndex - 1 : triggers.length - 1;
+                    break;
+                case nextKey:
+                    newIndex = currentIndex < triggers.length - 1 ? currentIndex + 1 : 0;
+                    break;
+                case 'Home':
+                    newIndex = 0;
+                    break;
+                case 'End':
+                    newIndex = triggers.length - 1;
+                    break;
+                case 'Enter':
+                case ' ':
+                    // Buttons activate natively through click
+                    if (triggers[currentIndex].tagName !== 'BUTTON') {
+                        e.preventDefault();
+                        this.select(triggers[currentIndex].getAttribute('data-tab-trigger'));
+                    }
+                    return;
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+            triggers[newIndex].focus();
+
+            if (this.activation !== 'manual') {
+                this.select(triggers[newIndex].getAttribute('data-tab-trigger'));
+            }
+        }
+    }
+
+    // Accordion with optional single-open mode, animated height and persisted expanded items
+    class Accordion extends EasyComponent {
+        constructor(element, options, framework) {
+            super(element, options, framework);
+
+            const data = element.dataset;
+            if (data.accordion === 'single') this.options.multiple = false;
+            if ('accordionPersist' in data) this.options.persist = true;
+            this.transitions = new Map();
+
+            this.items.forEach(item => {
+                const trigger = item.querySelector('[data-accordion-trigger]');
+                const content = item.querySelector('.accordion-content');
+                const icon = item.querySelector('.accordion-icon');
+
+                if (!trigger || !content) return;
+
+                // Set initial ARIA attributes
+                if (!trigger.id) trigger.id = EasyCSSEnhanced.uniqueId('accordion-trigger');
+                if (!content.id) content.id = EasyCSSEnhanced.uniqueId('accordion-content');
+                trigger.setAttribute('aria-controls', content.id);
+                content.setAttribute('role', 'region');
+                content.setAttribute('aria-labelledby', trigger.id);
+                if (icon) icon.setAttribute('aria-hidden', 'true');
+
+                // Non-button headers still need to be reachable and announced as buttons
+                if (trigger.tagName !== 'BUTTON') {
+                    trigger.setAttribute('role', 'button');
+                    if (!trigger.hasAttribute('tabindex')) trigger.setAttribute('tabindex', '0');
+                }
+
+                const isActive = item.classList.contains('active');
+                this.syncItem(item, isActive);
+                if (isActive) content.style.maxHeight = 'none';
+
+                this.listen(trigger, 'click', () => this.toggle(item));
+
+                // Keyboard navigation
+                this.listen(trigger, 'keydown', (e) => {
+                    const items = this.items;
+                    this.framework.handleAccordionKeyboard(e, element, items, items.indexOf(item));
+                });
+            });
+
+            this.framework.addCleanup(element, () => {
+                this.transitions.forEach(finish => finish());
+            });
+
+            if (this.options.persist) {
+                this.restore();
+            }
+        }
+
+        static get componentName() {
+            return 'accordion';
+        }
+
+        static get selector() {
+            return EasyCSSEnhanced.componentSelectors.accordion;
+        }
+
+        static get defaults() {
+            return {
+                multiple: true,
+                animate: true,
+                persist: false,
+                storageKey: null
+            };
+        }
+
+        // Items of this accordion only, not of accordions nested inside a panel
+        get items() {
+            return Array.from(this.element.querySelectorAll('.accordion-item'))
+                .filter(item => item.closest('[data-accordion]') === this.element);
+        }
+
+        get storageKey() {
+            const key = this.options.storageKey || this.element.dataset.accordionKey || this.element.id;
+            return key ? `${this.framework.options.storageKey}-accordion-${key}` : null;
+        }
+
+        resolveItem(item) {
+            return typeof item === 'number' ? this.items[item] : item;
+        }
+
+        // Stored by item id when present, otherwise by position
+        getItemKey(item) {
+            return item.id || String(this.items.indexOf(item));
+        }
+
+        isOpen(item) {
+            const target = this.resolveItem(item);
+            return Boolean(target && target.classList.contains('active'));
+        }
+
+        open(item) {
+            return this.setItemState(this.resolveItem(item), true);
+        }
+
+        close(item) {
+            return this.setItemState(this.resolveItem(item), false);
+        }
+
+        toggle(item) {
+            const target = this.resolveItem(item);
+            return this.setItemState(target, !this.isOpen(target));
+        }
+
+        setItemState(item, isActive, options = {}) {
+            if (!item || this.isOpen(item) === isActive) return this;
+
+            // Single mode: opening one item closes its siblings
+            if (isActive && !this.options.multiple) {
+                this.items.forEach(other => {
+                    if (other !== item) this.setItemState(other, false, { ...options, persist: false });
+                });
+            }
+
+            item.classList.toggle('active', isActive);
+            this.syncItem(item, isActive);
+
+            const content = item.querySelector('.accordion-content');
+            if (content) {
+                this.animateContent(content, isActive, options.animate !== false && this.options.animate);
+            }
+
+            if (this.options.persist && options.persist !== false) {
+                this.persist();
+            }
+
+            this.trigger(isActive ? 'open' : 'close', { item });
+            this.framework.emit('easycss:accordion-toggled', { accordion: this.element, item, isActive });
+            return this;
+        }
+
+        syncItem(item, isActive) {
+            const trigger = item.querySelector('[data-accordion-trigger]');
+            const content = item.querySelector('.accordion-content');
+
+            if (trigger) trigger.setAttribute('aria-expanded', String(isActive));
+            if (content) content.setAttribute('aria-hidden', String(!isActive));
+        }
+
+        // Animates max-height between 0 and the measured content height, then hands back to CSS
+        animateContent(content, isActive, animate) {
+            const pending = this.transitions.get(content);
+            if (pending) pending();
+
+            const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+            if (!animate || reduceMotion) {
+                content.style.maxHeight = isActive ? 'none' : '';
+                return;
+            }
+
+            content.style.maxHeight = `${content.scrollHeight}px`;
+            if (!isActive) {
+                // Force a reflow so the collapse starts from the current height
+                void content.offsetHeight;
+                content.style.maxHeight = '0px';
+            }
+
+            const duration = parseFloat(getComputedStyle(content).transitionDuration) || 0;
+            let timer;
+            const finish = () => {
+                clearTimeout(timer);
+                content.removeEventListener('transitionend', onEnd);
+                this.transitions.delete(content);
+                content.style.maxHeight = isActive ? 'none' : '';
+            };
+            const onEnd = (e) => {
+                if (e.target === content && e.propertyName === 'max-height') finish();
+            };
+
+            content.addEventListener('transitionend', onEnd);
+            // transitionend never fires when the transition is interrupted or skipped
+            timer = setTimeout(finish, duration * 1000 + 50);
+            this.transitions.set(content, finish);
+        }
+
+        persist() {
+            if (!this.storageKey) {
+                this.framework.warn('EasyCSS accordion: data-accordion-persist needs an id or data-accordion-key');
+                return this;
+            }
+
+            const expanded = this.items.filter(item => this.isOpen(item)).map(item => this.getItemKey(item));
+            this.framework.writeStorage(this.storageKey, JSON.stringify(expanded));
+            return this;
+        }
+
+        restore() {
+            const stored = this.storageKey && this.framework.readStorage(this.storageKey);
+            if (!stored) return this;
+
+            let expanded;
+            try {
+                expanded = JSON.parse(stored);
+            } catch (error) {
+                return this;
+            }
+            if (!Array.isArray(expanded)) return this;
+
+            const items = this.items;
+            const open = items.filter(item => expanded.includes(this.getItemKey(item)));
+            const options = { animate: false, persist: false };
+
+            items.forEach(item => {
+                if (!open.includes(item)) this.setItemState(item, false, options);
+            });
+            (this.options.multiple ? open : open.slice(0, 1)).forEach(item => this.setItemState(item, true, options));
+            return this;
+        }
+
+        // Up/Down/Home/End move between headers; Enter/Space toggle headers that aren't buttons
+        handleKeydown(e, currentIndex) {
+            const items = this.items;
+            let newIndex = currentIndex;
+
+            switch (e.key) {
+                case 'ArrowDown':
+                    newIndex = currentIndex < items.length - 1 ? currentIndex + 1 : 0;
+                    break;
+                case 'ArrowUp':
+                    newIndex = currentIndex > 0 ? currentIndex - 1 : items.length - 1;
+                    break;
+                case 'Home':
+                    newIndex = 0;
+                    break;
+                case 'End':
+                    newIndex = items.length - 1;
+                    break;
+                case 'Enter':
+                case ' ':
+                    if (e.target.tagName !== 'BUTTON') {
+                        e.preventDefault();
+                        this.toggle(items[currentIndex]);
+                    }
+                    return;
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+            const newTrigger = items[newIndex].querySelector('[data-accordion-trigger]');
+            if (newTrigger) {
+                newTrigger.focus();
+            }
+        }
+    }
+
+    // Tooltip with show/hide delays, touch long-press, Escape dismissal and an interactive popover variant
+    // Tracks open tooltips so one pair of document listeners serves every instance
+    class TooltipManager {
+        constructor(framework) {
+            this.framework = framework;
+            this.open = new Set();
+            this.listening = false;
+        }
+
+        add(tooltip) {
+            this.open.add(tooltip);
+            this.listen();
+        }
+
+        remove(tooltip) {
+            this.open.delete(tooltip);
+        }
+
+        listen() {
+            if (this.listening) return;
+            this.listening = true;
+
+            // A tap anywhere else closes a tooltip opened by long-press
+            this.framework.addListener(this.framework, document, 'touchstart', (e) => {
+                this.open.forEach(tooltip => {
+                    if (!tooltip.element.contains(e.target)) tooltip.hide();
+                });
+            }, { passive: true });
+
+            // Escape dismisses without moving the pointer or focus (WCAG 1.4.13); capture runs
+            // before the modal manager so an open modal stays open
+            this.framework.addListener(this.framework, document, 'keydown', (e) => {
+                if (e.key !== 'Escape' || !this.open.size) return;
+
+                e.preventDefault();
+                this.open.forEach(tooltip => {
+                    tooltip.dismissed = true;
+                    tooltip.hide();
+                });
+            }, { capture: true });
+
+            this.framework.addCleanup(this.framework, () => {
+                this.listening = false;
+                this.open.clear();
+            });
+        }
+    }
+
+    class Tooltip extends EasyComponent {
+        constructor(element, options, framework) {
+            super(element, options, framework);
+
+            const data = element.dataset;
+            if ('tooltipInteractive' in data) this.options.interactive = true;
+            if ('tooltipHtml' in data) this.options.html = true;
+            if (data.tooltipDelay) this.options.showDelay = Number(data.tooltipDelay);
+            if (data.tooltipHideDelay) this.options.hideDelay = Number(data.tooltipHideDelay);
+
+            this.timers = { show: null, hide: null, touch: null };
+            this.lastTouch = 0;
+            this.dismissed = false;
+            this.visible = false;
+
+            this.content = element.querySelector('.tooltip-content');
+            this.ownsContent = !this.content;
+            if (!this.content) {
+                this.content = document.createElement('div');
+                this.content.className = 'tooltip-content';
+                element.appendChild(this.content);
+                this.update(this.getDeclaredContent());
+            }
+
+            this.setupAria();
+            element.setAttribute('data-tooltip-ready', '');
+
+            this.positioner = new Positioner(element, this.content, {
+                placement: this.framework.getTooltipPlacement(element)
+            });
+
+            this.bindEvents();
+
+            this.framework.addCleanup(element, () => this.teardown());
+        }
+
+        static get componentName() {
+            return 'tooltip';
+        }
+
+        static get selector() {
+            return EasyCSSEnhanced.componentSelectors.tooltip;
+        }
+
+        static get defaults() {
+            return {
+                showDelay: 100,
+                hideDelay: 100,
+                interactiveHideDelay: 300,
+                touchDelay: 500,
+                interactive: false,
+                html: false
+            };
+        }
+
+        get isOpen() {
+            return this.visible;
+        }
+
+        // data-tooltip text, or a <template> referenced by data-tooltip-template for rich content
+        getDeclaredContent() {
+            const templateSelector = this.element.getAttribute('data-tooltip-template');
+            const template = templateSelector && this.framework.root.querySelector(templateSelector);
+            if (template) {
+                return template.content ? template.content.cloneNode(true) : template.cloneNode(true);
+            }
+            return this.element.getAttribute('data-tooltip');
+        }
+
+        setupAria() {
+            const { element, content } = this;
+            if (!content.id) content.id = EasyCSSEnhanced.uniqueId('tooltip');
+
+            this.addedTabindex = !element.matches(FocusTrap.focusableSelector) && !element.hasAttribute('tabindex');
+            if (this.addedTabindex) element.setAttribute('tabindex', '0');
+
+            if (this.options.interactive) {
+                content.setAttribute('role', 'dialog');
+                content.classList.add('tooltip-popover');
+                element.setAttribute('aria-haspopup', 'dialog');
+                element.setAttribute('aria-expanded', 'false');
+                element.setAttribute('aria-controls', content.id);
+            } else {
+                content.setAttribute('role', 'tooltip');
+                const describedBy = (element.getAttribute('aria-describedby') || '').split(/\s+/).filter(Boolean);
+                if (!describedBy.includes(content.id)) {
+                    element.setAttribute('aria-describedby', describedBy.concat(content.id).join(' '));
+                }
+            }
+        }
+
+        bindEvents() {
+            const { element } = this;
+            const fromTouch = () => Date.now() - this.lastTouch < 800;
+
+            // Mouse events synthesized after a tap are ignored; touch uses long-press instead
+            this.listen(element, 'mouseenter', () => {
+                if (!fromTouch()) this.scheduleShow();
+            });
+            this.listen(element, 'mouseleave', () => {
+                this.dismissed = false;
+                if (!fromTouch()) this.scheduleHide();
+            });
+
+            this.listen(element, 'focusin', () => this.scheduleShow(0));
+            this.listen(element, 'focusout', (e) => {
+                if (element.contains(e.relatedTarget)) return;
+                this.dismissed = false;
+                this.scheduleHide(0);
+            });
+
+            this.listen(element, 'touchstart', () => {
+                this.lastTouch = Date.now();
+                clearTimeout(this.timers.touch);
+                this.timers.touch = setTimeout(() => this.show(), this.options.touchDelay);
+            }, { passive: true });
+            ['touchend', 'touchmove', 'touchcancel'].forEach(event => {
+                this.listen(element, event, () => {
+                    this.lastTouch = Date.now();
+                    clearTimeout(this.timers.touch);
+                }, { passive: true });
+            });
+
+            if (this.options.interactive) {
+                this.listen(element, 'click', (e) => {
+                    if (this.content.contains(e.target)) return;
+                    if (this.visible) this.hide();
+                    else this.show();
+                });
+            }
+        }
+
+        clearTimers() {
+            clearTimeout(this.timers.show);
+            clearTimeout(this.timers.hide);
+            this.timers.show = null;
+            this.timers.hide = null;
+        }
+
+        scheduleShow(delay = this.options.showDelay) {
+            if (this.dismissed) return;
+
+            this.clearTimers();
+            this.timers.show = setTimeout(() => this.show(), delay);
+        }
+
+        // Interactive popovers linger long enough for the pointer to cross the gap into them
+        scheduleHide(delay) {
+            const hideDelay = delay !== undefined ? delay
+                : this.options.interactive ? this.options.interactiveHideDelay : this.options.hideDelay;
+
+            this.clearTimers();
+            this.timers.hide = setTimeout(() => this.hide(), hideDelay);
+        }
+
+        show() {
+            this.clearTimers();
+            if (this.visible || !this.content.childNodes.length) return this;
+
+            this.visible = true;
+            this.content.classList.add('show');
+            if (this.options.interactive) this.element.setAttribute('aria-expanded', 'true');
+            this.positioner.start();
+            this.framework.tooltipManager.add(this);
+
+            this.trigger('show');
+            this.framework.emit('easycss:tooltip-shown', { tooltip: this.element, content: this.content });
+            return this;
+        }
+
+        hide() {
+            this.clearTimers();
+            if (!this.visible) return this;
+
+            this.visible = false;
+            this.content.classList.remove('show');
+            if (this.options.interactive) this.element.setAttribute('aria-expanded', 'false');
+            this.positioner.stop();
+            this.framework.tooltipManager.remove(this);
+
+            this.trigger('hide');
+            this.framework.emit('easycss:tooltip-hidden', { tooltip: this.element, content: this.content });
+            return this;
+        }
+
+        toggle() {
+            return this.visible ? this.hide() : this.show();
+        }
+
+        // Replaces the content (text, DOM node, or trusted HTML with { html: true }) and repositions
+        update(content, options = {}) {
+            const html = options.html !== undefined ? options.html : this.options.html;
+
+            if (typeof content === 'string' && !html && this.ownsContent) {
+                this.element.setAttribute('data-tooltip', content);
+            }
+            this.framework.renderContent(this.content, content, { html, sanitize: options.sanitize });
+
+            if (this.visible) {
+                if (this.content.childNodes.length) this.positioner.update();
+                else this.hide();
+            }
+            return this;
+        }
+
+        teardown() {
+            this.clearTimers();
+            clearTimeout(this.timers.touch);
+            this.positioner.reset();
+            this.content.classList.remove('show');
+            this.framework.tooltipManager.remove(this);
+
+            const { element, content } = this;
+            element.removeAttribute('data-tooltip-ready');
+            if (this.addedTabindex) element.removeAttribute('tabindex');
+
+            if (this.options.interactive) {
+                ['aria-haspopup', 'aria-expanded', 'aria-controls'].forEach(name => element.removeAttribute(name));
+            } else {
+                const describedBy = (element.getAttribute('aria-describedby') || '').split(/\s+/)
+                    .filter(id => id && id !== content.id);
+                if (describedBy.length) element.setAttribute('aria-describedby', describedBy.join(' '));
+                else element.removeAttribute('aria-describedby');
+            }
+
+            if (this.ownsContent) content.remove();
+        }
+    }
+
+    // Validation messages by locale; {name} placeholders are filled from the field's constraints.
+    // Add a language with EasyCSSEnhanced.FormValidator.messages.fr = { ... }
+    const validationMessages = {
+        en: {
+            required: 'This field is required.',
+            email: 'Please enter a valid email address.',
+            url: 'Please enter a valid URL.',
+            type: 'Please enter a valid value.',
+            pattern: 'Please match the requested format.',
+            minlength: 'Please enter at least {minlength} characters.',
+            maxlength: 'Please enter no more than {maxlength} characters.',
+            min: 'Please enter a value of at least {min}.',
+            max: 'Please enter a value no greater than {max}.',
+            step: 'Please enter a valid value.',
+            match: 'The values do not match.',
+            invalid: 'Please enter a valid value.'
+        },
+        ar: {
+            required: 'هذا الحقل مطلوب.',
+            email: 'يرجى إدخال بريد إلكتروني صالح.',
+            url: 'يرجى إدخال رابط صالح.',
+            type: 'يرجى إدخال قيمة صالحة.',
+            pattern: 'يرجى مطابقة التنسيق المطلوب.',
+            minlength: 'يرجى إدخال {minlength} أحرف على الأقل.',
+            maxlength: 'يرجى إدخال {maxlength} أحرف كحد أقصى.',
+            min: 'يجب أن تكون القيمة {min} أو أكثر.',
+            max: 'يجب أن تكون القيمة {max} أو أقل.',
+            step: 'يرجى إدخال قيمة صالحة.',
+            match: 'القيم غير متطابقة.',
+            invalid: 'يرجى إدخال قيمة صالحة.'
+        }
+    };
+
+    // Languages written right to left, for telling a real locale from a direction-only toggle
+    const rtlLanguages = ['ar', 'he', 'fa', 'ur', 'ps', 'yi', 'dv', 'sd', 'ug', 'ckb'];
+
+    const isThenable = value => Boolean(value) && typeof value.then === 'function';
+
+    // Constraint Validation for [data-validate] forms, plus custom and async rules from
+    // data-validate-rules, with inline .form-error messages wired up through aria-describedby
+    class FormValidator extends EasyComponent {
+        constructor(element, options, framework) {
+            super(element, options, framework);
+
+            const data = element.dataset;
+            if (data.validateLocale) this.options.locale = data.validateLocale;
+            if ('validateSuccess' in data) this.options.showSuccess = true;
+
+            this.active = true;
+            this.runId = 0;
+            this.resubmitting = false;
+            this.errors = new Map();
+            this.errorElements = new Map();
+            this.touched = new Set();
+            this.tokens = new Map();
+            this.results = new Map();
+            this.debounced = new Map();
+
+            // Messages are rendered inline, so the browser's own bubbles are turned off
+            this.addedNovalidate = !element.hasAttribute('novalidate');
+            element.setAttribute('novalidate', '');
+
+            this.bindEvents();
+
+            this.framework.addCleanup(element, () => this.teardown());
+        }
+
+        static get componentName() {
+            return 'form';
+        }
+
+        static get selector() {
+            return EasyCSSEnhanced.componentSelectors.form;
+        }
+
+        static get defaults() {
+            return {
+                locale: null,
+                messages: {},
+                rules: {},
+                asyncDelay: 300,
+                focusInvalid: true,
+                showSuccess: false
+            };
+        }
+
+        static get messages() {
+            return validationMessages;
+        }
+
+        // Rules available to every form; custom ones are added with framework.registerValidator()
+        static get rules() {
+            return {
+                match: {
+                    validate: (value, { form, param }) => {
+                        const other = FormValidator.findField(form, param);
+                        return !other || value === other.value;
+                    }
+                }
+            };
+        }
+
+        // A field by name or id, or by selector such as "#password"
+        static findField(form, reference) {
+            if (!reference) return null;
+
+            const named = form.elements.namedItem(reference);
+            if (named) return named.nodeType ? named : named[0];
+
+            try {
+                return form.querySelector(reference);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        get isValid() {
+            return this.errors.size === 0;
+        }
+
+        bindEvents() {
+            const { element } = this;
+
+            this.listen(element, 'submit', (e) => this.handleSubmit(e));
+            this.listen(element, 'reset', () => this.reset());
+
+            this.listen(element, 'focusout', (e) => {
+                const field = this.getField(e.target);
+                if (!field) return;
+
+                this.touched.add(this.getKey(field));
+                this.validateField(field);
+            });
+
+            // Text fields re-validate as they are edited once touched; choices validate on change
+            this.listen(element, 'input', (e) => {
+                const field = this.getField(e.target);
+                if (!field || this.isChoice(field)) return;
+
+                const key = this.getKey(field);
+                if (this.touched.has(key) || this.errors.has(key)) this.scheduleValidation(field);
+                this.validateDependents(field);
+            });
+
+            this.listen(element, 'change', (e) => {
+                const field = this.getField(e.target);
+                if (!field || !this.isChoice(field)) return;
+
+                this.touched.add(this.getKey(field));
+                this.validateField(field);
+                this.validateDependents(field);
+            });
+
+            // Shown messages follow the page language when the direction is toggled
+            this.listen(document, 'easycss:direction-changed', () => {
+                if (this.options.locale) return;
+                this.getGroups().forEach(fields => {
+                    if (this.errors.has(this.getKey(fields[0]))) this.validateGroup(fields);
+                });
+            });
+        }
+
+        handleSubmit(e) {
+            // The resubmission after async rules passed goes through untouched
+            if (this.resubmitting) return;
+
+            const outcome = this.check({ focus: this.options.focusInvalid });
+            if (outcome === true) return;
+
+            e.preventDefault();
+            if (!isThenable(outcome)) return;
+
+            const submitter = e.submitter;
+            outcome.then(valid => {
+                if (!valid || !this.active || !this.element.isConnected) return;
+
+                this.resubmitting = true;
+                try {
+                    if (typeof this.element.requestSubmit === 'function') {
+                        this.element.requestSubmit(submitter && submitter.form === this.element ? submitter : undefined);
+                    } else {
+                        this.element.submit();
+                    }
+                } finally {
+                    this.resubmitting = false;
+                }
+            });
+        }
+
+        // Validates the whole form and resolves with whether it is valid
+        validate(options = {}) {
+            return Promise.resolve(this.check(options));
+        }
+
+        // Returns a boolean when every rule is synchronous, otherwise a Promise of one
+        check({ focus = false } = {}) {
+            const runId = ++this.runId;
+            const groups = this.getGroups();
+            const results = groups.map(fields => {
+                this.touched.add(this.getKey(fields[0]));
+                return this.validateGroup(fields);
+            });
+
+            const finish = (messages) => {
+                if (runId !== this.runId || !this.active) return false;
+
+                const errors = {};
+                let firstInvalid = null;
+                messages.forEach((message, index) => {
+                    if (!message) return;
+                    errors[this.getKey(groups[index][0])] = message;
+                    if (!firstInvalid) firstInvalid = groups[index].find(field => field.checked) || groups[index][0];
+                });
+
+                const valid = !firstInvalid;
+                this.element.removeAttribute('aria-busy');
+
+                if (valid) {
+                    this.trigger('valid');
+                    this.framework.emit('easycss:form-valid', { form: this.element });
+                } else {
+                    if (focus) firstInvalid.focus();
+                    this.trigger('invalid', { errors });
+                    this.framework.emit('easycss:form-invalid', { form: this.element, errors, field: firstInvalid });
+                }
+                return valid;
+            };
+
+            if (!results.some(isThenable)) return finish(results);
+
+            this.element.setAttribute('aria-busy', 'true');
+            return Promise.all(results).then(finish);
+        }
+
+        // Validates one field (a whole group for radios) and resolves with whether it is valid
+        validateField(field) {
+            const target = this.getField(field);
+            if (!target) return Promise.resolve(true);
+
+            return Promise.resolve(this.validateGroup(this.getGroup(target))).then(message => !message);
+        }
+
+        validateGroup(fields) {
+            const key = this.getKey(fields[0]);
+            const token = (this.tokens.get(key) || 0) + 1;
+            this.tokens.set(key, token);
+
+            const result = this.checkField(fields[0], fields);
+            this.results.set(key, result);
+
+            if (!isThenable(result)) {
+                this.render(fields, result);
+                return result;
+            }
+
+            fields.forEach(field => field.setAttribute('aria-busy', 'true'));
+            return result.then(message => {
+                // A newer check of the same field has started; its result wins
+                if (this.tokens.get(key) !== token) return this.results.get(key);
+                if (this.active) this.render(fields, message);
+                return message;
+            });
+        }
+
+        scheduleValidation(field) {
+            if (!this.hasCustomRules(field)) {
+                this.validateField(field);
+                return;
+            }
+
+            const key = this.getKey(field);
+            if (!this.debounced.has(key)) {
+                this.debounced.set(key, EasyCSSEnhanced.debounce(target => {
+                    if (this.active) this.validateField(target);
+                }, this.options.asyncDelay));
+            }
+            this.debounced.get(key)(field);
+        }
+
+        // Re-checks touched fields whose "match" rule points at the field that changed
+        validateDependents(field) {
+            this.getGroups().forEach(fields => {
+                const dependent = fields[0];
+                if (dependent === field || !this.touched.has(this.getKey(dependent))) return;
+
+                const refersToField = this.getRules(dependent).some(({ name, param }) =>
+                    name === 'match' && FormValidator.findField(this.element, param) === field);
+                if (refersToField) this.validateGroup(fields);
+            });
+        }
+
+        // The first native constraint failure, then data-validate-rules in order; async rules
+        // chain so later rules only run once earlier ones pass
+        checkField(field, fields = [field]) {
+            const nativeError = this.getNativeError(field);
+            if (nativeError) return nativeError;
+
+            const value = this.getValue(field, fields);
+            if (value === '' || (Array.isArray(value) && !value.length)) return null;
+
+            const rules = this.getRules(field);
+            const context = { field, fields, form: this.element, framework: this.framework };
+
+            const run = (index) => {
+                for (let i = index; i < rules.length; i += 1) {
+                    const { name, param } = rules[i];
+                    const rule = this.getRule(name);
+                    if (!rule) {
+                        this.framework.warn(`EasyCSS form: unknown validation rule "${name}"`);
+                        continue;
+                    }
+
+                    let result;
+                    try {
+                        result = rule.validate(value, { ...context, param });
+                    } catch (error) {
+                        result = Promise.reject(error);
+                    }
+
+                    if (isThenable(result)) {
+                        return Promise.resolve(result).then(
+                            resolved => this.getRuleMessage(field, name, rule, resolved, param) || run(i + 1),
+                            error => {
+                                // A rule that can't be checked (e.g. the network is down) blocks submission
+                                this.framework.warn(`EasyCSS form: validation rule "${name}" failed`, error);
+                                return this.getRuleMessage(field, name, rule, false, param);
+                            }
+                        );
+                    }
+
+                    const message = this.getRuleMessage(field, name, rule, result, param);
+                    if (message) return message;
+                }
+                return null;
+            };
+
+            return run(0);
+        }
+
+        getNativeError(field) {
+            const { validity } = field;
+
+            if (validity && !validity.valid) {
+                if (validity.valueMissing) return this.getMessage(field, 'required');
+                if (validity.typeMismatch) {
+                    return this.getMessage(field, field.type === 'email' || field.type === 'url' ? field.type : 'type');
+                }
+                if (validity.patternMismatch) return this.getMessage(field, 'pattern');
+                if (validity.tooShort) return this.getMessage(field, 'minlength', { minlength: field.minLength });
+                if (validity.tooLong) return this.getMessage(field, 'maxlength', { maxlength: field.maxLength });
+                if (validity.rangeUnderflow) return this.getMessage(field, 'min', { min: field.min });
+                if (validity.rangeOverflow) return this.getMessage(field, 'max', { max: field.max });
+                if (validity.stepMismatch) return this.getMessage(field, 'step', { step: field.step });
+                if (validity.customError) return field.validationMessage;
+                return this.getMessage(field, 'invalid');
+            }
+
+            // Browsers only flag tooShort for user edits, not for values set by script or autofill
+            const length = typeof field.value === 'string' ? field.value.length : 0;
+            if (field.minLength > 0 && length && length < field.minLength) {
+                return this.getMessage(field, 'minlength', { minlength: field.minLength });
+            }
+            return null;
+        }
+
+        // data-validate-rules="match:#password username-available"
+        getRules(field) {
+            return (field.getAttribute('data-validate-rules') || '').split(/\s+/).filter(Boolean).map(rule => {
+                const separator = rule.indexOf(':');
+                return separator === -1
+                    ? { name: rule, param: undefined }
+                    : { name: rule.slice(0, separator), param: rule.slice(separator + 1) };
+            });
+        }
+
+        // Looked up on every check, so a registered rule can be swapped out (e.g. stubbed in tests)
+        getRule(name) {
+            const rule = this.options.rules[name] || this.framework.validators.get(name) || FormValidator.rules[name];
+            if (!rule) return null;
+            return typeof rule === 'function' ? { validate: rule } : rule;
+        }
+
+        // Any custom rule may be async, so those fields wait for a pause in typing
+        hasCustomRules(field) {
+            return this.getRules(field).some(({ name }) => !FormValidator.rules[name]);
+        }
+
+        // true passes, a string is the error message, and false uses the rule's localized message
+        getRuleMessage(field, name, rule, result, param) {
+            if (typeof result === 'string') return result;
+            if (result !== false) return null;
+
+            const custom = field.getAttribute(`data-error-${name}`);
+            if (custom) return custom;
+
+            const message = rule.message && typeof rule.message === 'object'
+                ? this.pickLocale(rule.message) : rule.message;
+            return this.format(message || this.getMessages()[name] || this.getMessages().invalid, { param });
+        }
+
+        getMessage(field, key, params = {}) {
+            const message = field.getAttribute(`data-error-${key}`) || this.getMessages()[key] || this.getMessages().invalid;
+            return this.format(message, params);
+        }
+
+        format(message, params) {
+            return String(message).replace(/\{(\w+)\}/g, (match, name) =>
+                params[name] !== undefined && params[name] !== null ? params[name] : match);
+        }
+
+        // An explicit locale, else the nearest lang attribute, else Arabic on right-to-left pages.
+        // A left-to-right lang on a right-to-left page means only dir was flipped (the [data-lang]
+        // toggle does that), so direction wins there
+        getLocale() {
+            if (this.options.locale) return this.options.locale;
+
+            const langElement = this.element.closest('[lang]');
+            const lang = langElement && langElement.getAttribute('lang');
+            if (getComputedStyle(this.element).direction !== 'rtl') return lang || 'en';
+
+            return lang && rtlLanguages.includes(lang.split('-')[0].toLowerCase()) ? lang : 'ar';
+        }
+
+        pickLocale(table) {
+            const locale = this.getLocale().toLowerCase();
+            const language = locale.split('-')[0];
+            if (table[locale] !== undefined) return table[locale];
+            if (table[language] !== undefined) return table[language];
+            return table.en;
+        }
+
+        getMessages() {
+            const locale = this.getLocale().toLowerCase();
+            const messages = validationMessages[locale] || validationMessages[locale.split('-')[0]] || {};
+            const overrides = this.options.messages[locale] || this.options.messages[locale.split('-')[0]] || {};
+            return { ...validationMessages.en, ...messages, ...overrides };
+        }
+
+        getValue(field, fields) {
+            if (field.type === 'radio') {
+                const checked = fields.find(radio => radio.checked);
+                return checked ? checked.value : '';
+            }
+            if (field.type === 'checkbox') return field.checked ? field.value : '';
+            if (field.type === 'select-multiple') {
+                return Array.from(field.options).filter(option => option.selected).map(option => option.value);
+            }
+            return field.value;
+        }
+
+        isChoice(field) {
+            return /^(checkbox|radio|select-one|select-multiple|file)$/.test(field.type);
+        }
+
+        // Named or id'd fields that take part in constraint validation
+        getFields() {
+            return Array.from(this.element.elements).filter(field =>
+                field.willValidate && (field.name || field.id));
+        }
+
+        getField(target) {
+            return target && this.getFields().includes(target) ? target : null;
+        }
+
+        getKey(field) {
+            return field.name || field.id;
+        }
+
+        // Radio buttons sharing a name are validated and marked as one
+        getGroup(field) {
+            if (field.type !== 'radio' || !field.name) return [field];
+            return this.getFields().filter(other => other.type === 'radio' && other.name === field.name);
+        }
+
+        getGroups() {
+            const groups = new Map();
+            this.getFields().forEach(field => {
+                const key = field.type === 'radio' && field.name ? `radio:${field.name}` : field;
+                if (!groups.has(key)) groups.set(key, this.getGroup(field));
+            });
+            return Array.from(groups.values());
+        }
+
+        render(fields, message) {
+            fields.forEach(field => field.removeAttribute('aria-busy'));
+            if (message) this.showError(fields, message);
+            else this.hideError(fields);
+        }
+
+        // Shows a message for a field, e.g. one returned by the server
+        setError(field, message) {
+            const target = this.getField(field);
+            if (!target) return this;
+
+            this.tokens.set(this.getKey(target), (this.tokens.get(this.getKey(target)) || 0) + 1);
+            this.render(this.getGroup(target), message);
+            return this;
+        }
+
+        clearError(field) {
+            return this.setError(field, null);
+        }
+
+        showError(fields, message) {
+            const key = this.getKey(fields[0]);
+            const error = this.getErrorElement(key, fields[fields.length - 1]);
+
+            error.textContent = message;
+            error.hidden = false;
+            this.errors.set(key, message);
+
+            fields.forEach(field => {
+                field.setAttribute('aria-invalid', 'true');
+                this.setDescribedBy(field, error.id, true);
+                this.setStateClass(field, 'error', true);
+                this.setStateClass(field, 'success', false);
+            });
+        }
+
+        hideError(fields) {
+            const key = this.getKey(fields[0]);
+            const entry = this.errorElements.get(key);
+
+            if (entry) {
+                fields.forEach(field => this.setDescribedBy(field, entry.element.id, false));
+                if (entry.owned) {
+                    entry.element.remove();
+                    this.errorElements.delete(key);
+                } else {
+                    entry.element.textContent = '';
+                    entry.element.hidden = true;
+                }
+            }
+            this.errors.delete(key);
+
+            const success = this.options.showSuccess && this.touched.has(key);
+            fields.forEach(field => {
+                field.removeAttribute('aria-invalid');
+                this.setStateClass(field, 'error', false);
+                this.setStateClass(field, 'success', success);
+            });
+        }
+
+        // A [data-error-for="name"] element if the markup has one, otherwise a generated .form-error
+        getErrorElement(key, field) {
+            const entry = this.errorElements.get(key);
+            if (entry) return entry.element;
+
+            let element = Array.from(this.element.querySelectorAll('[data-error-for]'))
+                .find(candidate => candidate.getAttribute('data-error-for') === key);
+            const owned = !element;
+
+            if (owned) {
+                element = document.createElement('div');
+                element.className = 'form-error';
+
+                const group = field.closest('.form-group');
+                const anchor = field.closest('.input-group') || field;
+                if ((field.type === 'radio' || field.type === 'checkbox') && group && this.element.contains(group)) {
+                    group.appendChild(element);
+                } else {
+                    anchor.insertAdjacentElement('afterend', element);
+                }
+            }
+            if (!element.id) element.id = EasyCSSEnhanced.uniqueId('form-error');
+
+            this.errorElements.set(key, { element, owned });
+            return element;
+        }
+
+        setDescribedBy(field, id, add) {
+            const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(value => value && value !== id);
+            if (add) ids.push(id);
+
+            if (ids.length) field.setAttribute('aria-describedby', ids.join(' '));
+            else field.removeAttribute('aria-describedby');
+        }
+
+        // .form-input becomes .form-input-error / .form-input-success, likewise select and textarea
+        setStateClass(field, state, force) {
+            const base = ['form-input', 'form-select', 'form-textarea'].find(name => field.classList.contains(name));
+            if (base) field.classList.toggle(`${base}-${state}`, force);
+        }
+
+        // Clears every message and forgets which fields were touched
+        reset() {
+            this.runId += 1;
+            this.getGroups().forEach(fields => {
+                const key = this.getKey(fields[0]);
+                this.tokens.set(key, (this.tokens.get(key) || 0) + 1);
+                this.touched.delete(key);
+                this.render(fields, null);
+            });
+            this.element.removeAttribute('aria-busy');
+            return this;
+        }
+
+        teardown() {
+            this.reset();
+            this.active = false;
+            this.errorElements.forEach(({ element, owned }) => {
+                if (owned) element.remove();
+            });
+            this.errorElements.clear();
+            this.getFields().forEach(field => this.setStateClass(field, 'success', false));
+
+            if (this.addedNovalidate) this.element.removeAttribute('novalidate');
+        }
+    }
+
+    // Text matching that ignores case, accents and Arabic diacritics
+    const normalizeText = text => String(text).normalize('NFD')
+        .replace(/[\u0300-\u036f\u064b-\u065f\u0670]/g, '')
+        .toLowerCase();
+
+    // ARIA combobox over an <input>: filters local options (a <select> inside the element, which also
+    // keeps the form value, or options.items) or queries an async source, with .badge chips for
+    // multi-select
+    class Combobox extends EasyComponent {
+        constructor(element, options, framework) {
+            super(element, options, framework);
+
+            const data = element.dataset;
+            this.select = element.querySelector('select');
+            if ('comboboxMultiple' in data || (this.select && this.select.multiple)) this.options.multiple = true;
+            if (data.comboboxSource) this.options.url = data.comboboxSource;
+            if (data.comboboxDelay) this.options.delay = Number(data.comboboxDelay);
+            if (data.comboboxMinChars) this.options.minChars = Number(data.comboboxMinChars);
+            if (data.comboboxEmpty) this.options.emptyText = data.comboboxEmpty;
+
+            this.expanded = false;
+            this.items = [];
+            this.selected = [];
+            this.activeIndex = -1;
+            this.requestId = 0;
+
+            this.setupElements();
+            this.setupAria();
+            this.selected = this.getLocalItems().filter(item => item.selected);
+            if (!this.options.multiple && this.selected.length && !this.input.value) {
+                this.input.value = this.selected[0].label;
+            }
+            this.renderChips();
+
+            this.positioner = new Positioner(this.input, this.listbox, { placement: 'bottom-start' });
+            this.fetchDebounced = EasyCSSEnhanced.debounce(query => this.fetchItems(query), this.options.delay);
+
+            this.bindEvents();
+
+            this.framework.addCleanup(element, () => this.teardown());
+        }
+
+        static get componentName() {
+            return 'combobox';
+        }
+
+        static get selector() {
+            return EasyCSSEnhanced.componentSelectors.combobox;
+        }
+
+        static get defaults() {
+            return {
+                multiple: false,
+                items: null,
+                source: null,
+                url: null,
+                delay: 250,
+                minChars: 1,
+                emptyText: 'No results',
+                loadingText: 'Loading…',
+                removeLabel: 'Remove {label}',
+                chipClass: 'badge badge-primary'
+            };
+        }
+
+        static normalize(text) {
+            return normalizeText(text);
+        }
+
+        static toItem(item) {
+            if (item === null || typeof item !== 'object') {
+                return { value: String(item), label: String(item), disabled: false };
+            }
+
+            const value = item.value !== undefined ? item.value : item.label;
+            return {
+                ...item,
+                value: String(value),
+                label: String(item.label !== undefined ? item.label : value),
+                disabled: Boolean(item.disabled)
+            };
+        }
+
+        get isOpen() {
+            return this.expanded;
+        }
+
+        get isAsync() {
+            return Boolean(this.options.source || this.options.url);
+        }
+
+        // The selected value, or an array of values for multi-select
+        get value() {
+            const values = this.selected.map(item => item.value);
+            return this.options.multiple ? values : (values[0] !== undefined ? values[0] : null);
+        }
+
+        setupElements() {
+            const { element } = this;
+
+            this.input = element.querySelector('input:not([type="hidden"])');
+            this.ownsInput = !this.input;
+            if (this.ownsInput) {
+                this.input = document.createElement('input');
+                this.input.type = 'text';
+                this.input.className = 'form-input';
+                element.appendChild(this.input);
+            }
+
+            // The <select> stays in the form for submission but is replaced visually
+            if (this.select) {
+                this.selectWasHidden = this.select.hidden;
+                this.select.hidden = true;
+                this.select.setAttribute('tabindex', '-1');
+            }
+
+            this.listbox = element.querySelector('.combobox-listbox');
+            this.ownsListbox = !this.listbox;
+            if (this.ownsListbox) {
+                this.listbox = document.createElement('ul');
+                this.listbox.className = 'combobox-listbox';
+                element.appendChild(this.listbox);
+            }
+            this.listbox.hidden = true;
+
+            if (this.options.multiple) {
+                this.chips = document.createElement('div');
+                this.chips.className = 'combobox-chips';
+                this.input.insertAdjacentElement('beforebegin', this.chips);
+            }
+        }
+
+        setupAria() {
+            const { input, listbox } = this;
+            if (!listbox.id) listbox.id = EasyCSSEnhanced.uniqueId('combobox-listbox');
+
+            this.previousAutocomplete = input.getAttribute('autocomplete');
+            input.setAttribute('role', 'combobox');
+            input.setAttribute('aria-autocomplete', 'list');
+            input.setAttribute('aria-expanded', 'false');
+            input.setAttribute('aria-controls', listbox.id);
+            input.setAttribute('autocomplete', 'off');
+
+            listbox.setAttribute('role', 'listbox');
+            if (this.options.multiple) listbox.setAttribute('aria-multiselectable', 'true');
+
+            // The visible label may still point at the <select> being replaced
+            const inputLabel = input.labels && input.labels[0];
+            const label = inputLabel || (this.select && this.select.labels && this.select.labels[0]);
+            if (label) {
+                if (!label.id) label.id = EasyCSSEnhanced.uniqueId('combobox-label');
+                listbox.setAttribute('aria-labelledby', label.id);
+                this.addedLabelledBy = !inputLabel && !input.hasAttribute('aria-labelledby');
+                if (this.addedLabelledBy) input.setAttribute('aria-labelledby', label.id);
+            }
+        }
+
+        bindEvents() {
+            const { element, input, listbox } = this;
+
+            this.listen(input, 'input', () => {
+                if (!this.options.multiple && !input.value && this.selected.length) {
+                    this.setSelected([]);
+                }
+                this.search(input.value);
+            });
+            this.listen(input, 'keydown', (e) => this.handleKeydown(e));
+            this.listen(input, 'click', () => {
+                if (!this.expanded) this.search(input.value);
+            });
+
+            // Keep focus in the input while picking with the mouse
+            this.listen(listbox, 'mousedown', (e) => e.preventDefault());
+            this.listen(listbox, 'click', (e) => {
+                const option = e.target.closest('[role="option"]');
+                if (!option || !listbox.contains(option)) return;
+
+                const item = this.items[Number(option.getAttribute('data-index'))];
+                if (item) this.choose(item);
+            });
+
+            if (this.chips) {
+                this.listen(this.chips, 'click', (e) => {
+                    const button = e.target.closest('.combobox-chip-remove');
+                    if (!button) return;
+
+                    this.remove(button.getAttribute('data-value'));
+                    input.focus();
+                });
+            }
+
+            this.listen(element, 'focusout', (e) => {
+                if (!element.contains(e.relatedTarget)) this.close();
+            });
+        }
+
+        // ArrowDown/ArrowUp open the list and move through options; Enter picks the active one
+        handleKeydown(e) {
+            const count = this.items.length;
+
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    if (!this.expanded) {
+                        this.search(this.input.value, { activate: e.altKey ? -1 : 0 });
+                    } else if (count) {
+                        this.setActive(this.activeIndex < count - 1 ? this.activeIndex + 1 : 0);
+                    }
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    if (!this.expanded) {
+                        this.search(this.input.value, { activate: 'last' });
+                    } else if (count) {
+                        this.setActive(this.activeIndex > 0 ? this.activeIndex - 1 : count - 1);
+                    }
+                    break;
+                case 'Enter':
+                    if (this.expanded && this.activeIndex >= 0) {
+                        e.preventDefault();
+                        this.choose(this.items[this.activeIndex]);
+                    }
+                    break;
+                case 'Escape':
+                    // Handled here so an enclosing modal or drawer stays open
+                    if (this.expanded) {
+                        e.preventDefault();
+                        this.close();
+                    } else if (this.input.value) {
+                        e.preventDefault();
+                        this.input.value = '';
+                        if (!this.options.multiple && this.selected.length) this.setSelected([]);
+                    }
+                    break;
+                case 'Backspace':
+                    if (this.options.multiple && !this.input.value && this.selected.length) {
+                        this.remove(this.selected[this.selected.length - 1].value);
+                    }
+                    break;
+                case 'Tab':
+                    this.close();
+                    break;
+                default:
+                    break;
+            }
+        }
+
+        getLocalItems() {
+            if (Array.isArray(this.options.items)) {
+                return this.options.items.map(Combobox.toItem);
+            }
+            if (!this.select) return [];
+
+            return Array.from(this.select.options)
+                .filter(option => option.value !== '' && !option.hasAttribute('data-combobox-added'))
+                .map(option => ({
+                    value: option.value,
+                    label: option.textContent.trim(),
+                    disabled: option.disabled,
+                    selected: option.selected
+                }));
+        }
+
+        filter(items, query) {
+            const needle = Combobox.normalize(query.trim());
+            if (!needle) return items;
+            return items.filter(item => Combobox.normalize(item.label).includes(needle));
+        }
+
+        search(query, { activate = -1 } = {}) {
+            this.pendingActivation = activate;
+
+            if (!this.isAsync) {
+                this.renderItems(this.filter(this.getLocalItems(), query), activate);
+                this.open();
+                return this;
+            }
+
+            if (query.trim().length < this.options.minChars) {
+                this.requestId += 1;
+                this.close();
+                return this;
+            }
+
+            this.requestId += 1;
+            this.listbox.setAttribute('aria-busy', 'true');
+            this.renderMessage(this.options.loadingText);
+            this.open();
+            this.fetchDebounced(query);
+            return this;
+        }
+
+        // options.source(query) or data-combobox-source ("/api/users?q={query}"); responses that
+        // arrive after a newer query are dropped
+        fetchItems(query) {
+            const requestId = ++this.requestId;
+            const loader = this.options.source || (value => {
+                const url = this.options.url;
+                const encoded = encodeURIComponent(value);
+                const src = url.includes('{query}')
+                    ? url.replace('{query}', encoded)
+                    : `${url}${url.includes('?') ? '&' : '?'}q=${encoded}`;
+                return fetch(src).then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                });
+            });
+
+            return Promise.resolve()
+                .then(() => loader(query, { combobox: this.element }))
+                .then(items => {
+                    if (requestId !== this.requestId || !this.expanded) return;
+
+                    this.listbox.removeAttribute('aria-busy');
+                    this.renderItems((items || []).map(Combobox.toItem), this.pendingActivation);
+                    this.trigger('load', { query, items: this.items });
+                })
+                .catch(error => {
+                    if (requestId !== this.requestId) return;
+
+                    this.listbox.removeAttribute('aria-busy');
+                    this.renderItems([]);
+                    this.trigger('error', { query, error });
+                    this.framework.emit('easycss:combobox-error', { combobox: this.element, query, error });
+                });
+        }
+
+        renderItems(items, activate = -1) {
+            this.items = items;
+            this.activeIndex = -1;
+            this.input.removeAttribute('aria-activedescendant');
+            this.listbox.textContent = '';
+
+            if (!items.length) {
+                this.renderMessage(this.options.emptyText);
+                return;
+            }
+
+            const selectedValues = this.selected.map(item => item.value);
+            items.forEach((item, index) => {
+                const option = document.createElement('li');
+                option.className = 'combobox-option';
+                option.id = EasyCSSEnhanced.uniqueId('combobox-option');
+                option.setAttribute('role', 'option');
+                option.setAttribute('data-index', index);
+                option.setAttribute('data-value', item.value);
+                option.setAttribute('aria-selected', String(selectedValues.includes(item.value)));
+                if (item.disabled) option.setAttribute('aria-disabled', 'true');
+                option.textContent = item.label;
+                this.listbox.appendChild(option);
+            });
+
+            if (activate === 'last') this.setActive(items.length - 1);
+            else if (activate >= 0) this.setActive(activate);
+            if (this.expanded) this.positioner.update();
+        }
+
+        renderMessage(text) {
+            this.listbox.textContent = '';
+            const message = document.createElement('li');
+            message.className = 'combobox-message';
+            message.setAttribute('role', 'presentation');
+            message.textContent = text;
+            this.listbox.appendChild(message);
+        }
+
+        setActive(index) {
+            const options = this.listbox.querySelectorAll('[role="option"]');
+            options.forEach(option => option.classList.remove('active'));
+
+            const option = options[index];
+            this.activeIndex = option ? index : -1;
+            if (!option) {
+                this.input.removeAttribute('aria-activedescendant');
+                return;
+            }
+
+            option.classList.add('active');
+            this.input.setAttribute('aria-activedescendant', option.id);
+            if (typeof option.scrollIntoView === 'function') option.scrollIntoView({ block: 'nearest' });
+        }
+
+        open() {
+            if (this.expanded) return this;
+
+            this.expanded = true;
+            this.listbox.hidden = false;
+            this.listbox.style.minWidth = `${this.input.offsetWidth}px`;
+            this.input.setAttribute('aria-expanded', 'true');
+            this.element.classList.add('active');
+            this.positioner.start();
+
+            this.trigger('open');
+            return this;
+        }
+
+        close() {
+            if (!this.expanded) return this;
+
+            this.expanded = false;
+            this.requestId += 1;
+            this.fetchDebounced.cancel();
+            this.listbox.hidden = true;
+            this.listbox.removeAttribute('aria-busy');
+            this.input.setAttribute('aria-expanded', 'false');
+            this.input.removeAttribute('aria-activedescendant');
+            this.activeIndex = -1;
+            this.element.classList.remove('active');
+            this.positioner.stop();
+
+            this.trigger('close');
+            return this;
+        }
+
+        // Picking an option: multi-select toggles it and keeps the list open for more
+        choose(item) {
+            if (!item || item.disabled) return this;
+
+            if (!this.options.multiple) {
+                this.input.value = item.label;
+                if (this.value !== item.value) this.setSelected([item], item);
+                this.close();
+                return this;
+            }
+
+            const exists = this.selected.some(selected => selected.value === item.value);
+            this.setSelected(exists
+                ? this.selected.filter(selected => selected.value !== item.value)
+                : this.selected.concat(item), item);
+
+            this.input.value = '';
+            const index = this.activeIndex;
+            this.search('', { activate: -1 });
+            if (!this.isAsync) this.setActive(Math.min(index, this.items.length - 1));
+            return this;
+        }
+
+        remove(value) {
+            const item = this.selected.find(selected => selected.value === String(value));
+            if (item) this.setSelected(this.selected.filter(selected => selected !== item), item);
+            return this;
+        }
+
+        // Selects by value; values not among the local options can be passed as { value, label } items
+        setValue(values) {
+            const list = (Array.isArray(values) ? values : [values]).filter(value => value !== null && value !== undefined);
+            const local = this.getLocalItems();
+            const items = list.map(value => {
+                const item = Combobox.toItem(value);
+                return local.find(candidate => candidate.value === item.value) || item;
+            });
+
+            const selected = this.options.multiple ? items : items.slice(0, 1);
+            if (!this.options.multiple) this.input.value = selected.length ? selected[0].label : '';
+            this.setSelected(selected);
+            return this;
+        }
+
+        setSelected(items, item = null) {
+            this.selected = items;
+            this.syncSelect();
+            this.renderChips();
+
+            const values = items.map(selected => selected.value);
+            this.listbox.querySelectorAll('[role="option"]').forEach(option => {
+                option.setAttribute('aria-selected', String(values.includes(option.getAttribute('data-value'))));
+            });
+
+            const value = this.value;
+            this.trigger('change', { value, selected: items, item });
+            this.framework.emit('easycss:combobox-change', { combobox: this.element, value, selected: items, item });
+        }
+
+        // Mirrors the selection into the <select>, adding options for values that came from a source
+        syncSelect() {
+            const { select } = this;
+            if (!select) return;
+
+            const values = this.selected.map(item => item.value);
+            this.selected.forEach(item => {
+                const exists = Array.from(select.options).some(option => option.value === item.value);
+                if (!exists) {
+                    const option = new Option(item.label, item.value);
+                    option.setAttribute('data-combobox-added', '');
+                    select.appendChild(option);
+                }
+            });
+
+            Array.from(select.options).forEach(option => {
+                option.selected = values.includes(option.value);
+                if (!option.selected && option.hasAttribute('data-combobox-added')) option.remove();
+            });
+            if (!values.length && !select.multiple) select.selectedIndex = -1;
+
+            select.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+
+        renderChips() {
+            if (!this.chips) return;
+
+            this.chips.textContent = '';
+            this.selected.forEach(item => {
+                const chip = document.createElement('span');
+                chip.className = `${this.options.chipClass} combobox-chip`;
+                chip.textContent = item.label;
+
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'combobox-chip-remove';
+                button.setAttribute('data-value', item.value);
+                button.setAttribute('aria-label', this.options.removeLabel.replace('{label}', item.label));
+                button.textContent = '×';
+
+                chip.appendChild(button);
+                this.chips.appendChild(chip);
+            });
+        }
+
+        teardown() {
+            this.requestId += 1;
+            this.fetchDebounced.cancel();
+            this.close();
+            this.positioner.reset();
+
+            const { input, listbox } = this;
+            ['role', 'aria-autocomplete', 'aria-expanded', 'aria-controls', 'aria-activedescendant']
+                .forEach(name => input.removeAttribute(name));
+            if (this.addedLabelledBy) input.removeAttribute('aria-labelledby');
+            if (this.previousAutocomplete === null) input.removeAttribute('autocomplete');
+            else input.setAttribute('autocomplete', this.previousAutocomplete);
+
+            if (this.chips) this.chips.remove();
+            if (this.ownsListbox) {
+                listbox.remove();
+            } else {
+                listbox.textContent = '';
+                ['role', 'aria-multiselectable', 'aria-labelledby'].forEach(name => listbox.removeAttribute(name));
+            }
+            if (this.ownsInput) input.remove();
+
+            if (this.select) {
+                this.select.hidden = this.selectWasHidden;
+                this.select.removeAttribute('tabindex');
+            }
+        }
+    }
+
+    // Sortable, filterable, paginated [data-table] on .table; rows live in memory and only the
+    // current page is attached, so large tables stay fast (data-table-page-size="0" shows every row)
+    class DataTable extends EasyComponent {
+        constructor(element, options, framework) {
+            super(element, options, framework);
+
+            const data = element.dataset;
+            if (data.tablePageSize !== undefined) this.options.pageSize = Number(data.tablePageSize) || 0;
+            if (data.tableFilter) this.options.filter = data.tableFilter;
+            if ('tableSelectable' in data) this.options.selectable = true;
+            if ('tablePersist' in data) this.options.persist = true;
+
+            this.tbody = element.tBodies[0] || element.appendChild(document.createElement('tbody'));
+            this.headerRow = element.tHead && element.tHead.rows[element.tHead.rows.length - 1];
+            this.sortState = { column: null, direction: null };
+            this.query = '';
+            this.page = 1;
+            this.selected = new Set();
+            this.view = [];
+
+            this.rows = Array.from(this.tbody.rows).map((tr, index) => this.createRow(tr, index));
+            this.nextIndex = this.rows.length;
+            this.pageRows = [];
+            this.columns = this.setupColumns();
+            if (this.options.selectable) this.setupSelection();
+            this.setupFooter();
+            this.setupFilter();
+
+            if (this.options.persist) this.restore();
+            this.render();
+
+            this.framework.addCleanup(element, () => this.teardown());
+        }
+
+        static get componentName() {
+            return 'table';
+        }
+
+        static get selector() {
+            return EasyCSSEnhanced.componentSelectors.table;
+        }
+
+        static get defaults() {
+            return {
+                pageSize: 25,
+                filter: null,
+                filterDelay: 150,
+                selectable: false,
+                persist: false,
+                storageKey: null,
+                emptyText: 'No matching rows',
+                statusText: '{start}–{end} of {total}',
+                previousText: 'Previous',
+                nextText: 'Next',
+                paginationLabel: 'Table pages',
+                selectAllLabel: 'Select all rows',
+                selectRowLabel: 'Select {label}'
+            };
+        }
+
+        // Arabic-Indic digits and separators count as numbers; currency and unit symbols are ignored
+        static parseNumber(value) {
+            const text = String(value).trim()
+                .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+                .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06f0))
+                .replace(/٫/g, '.')
+                .replace(/[٬,]/g, '')
+                .replace(/^[^\w+\-.]+|[^\d]+$/g, '');
+            return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(text) ? Number(text) : NaN;
+        }
+
+        static parseDate(value) {
+            return Date.parse(value);
+        }
+
+        get storageKey() {
+            const key = this.options.storageKey || this.element.dataset.tableKey || this.element.id;
+            return key ? `${this.framework.options.storageKey}-table-${key}` : null;
+        }
+
+        get pageCount() {
+            return this.options.pageSize > 0 ? Math.max(1, Math.ceil(this.view.length / this.options.pageSize)) : 1;
+        }
+
+        // Rows are identified by data-row-id, falling back to their original position
+        createRow(element, index) {
+            return {
+                element,
+                index,
+                id: element.getAttribute('data-row-id') || String(index),
+                values: this.readValues(element),
+                checkbox: null
+            };
+        }
+
+        // data-sort-value on a cell overrides its text
+        readValues(element) {
+            return Array.from(element.cells)
+                .filter(cell => !cell.classList.contains('table-select'))
+                .map(cell => {
+                    const value = cell.getAttribute('data-sort-value');
+                    return value !== null ? value : cell.textContent.trim();
+                });
+        }
+
+        // data-sort="number|date|text" on a header, else detected from the column; data-sort="none" opts out
+        setupColumns() {
+            if (!this.headerRow) return [];
+
+            return Array.from(this.headerRow.cells).map((th, index) => {
+                const declared = th.getAttribute('data-sort');
+                const column = { th, index, type: declared || this.detectType(index), button: null };
+                if (declared === 'none' || !th.textContent.trim()) {
+                    column.type = 'none';
+                    return column;
+                }
+
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'table-sort';
+                while (th.firstChild) button.appendChild(th.firstChild);
+                th.appendChild(button);
+                column.button = button;
+
+                this.listen(button, 'click', () => {
+                    const direction = this.sortState.column === index && this.sortState.direction === 'ascending'
+                        ? 'descending' : 'ascending';
+                    this.sort(index, direction);
+                });
+                return column;
+            });
+        }
+
+        detectType(index) {
+            const values = this.rows.map(row => row.values[index]).filter(value => value !== undefined && value !== '');
+            if (!values.length) return 'text';
+            if (values.every(value => !Number.isNaN(DataTable.parseNumber(value)))) return 'number';
+            if (values.every(value => /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(DataTable.parseDate(value)))) return 'date';
+            return 'text';
+        }
+
+        setupSelection() {
+            const headerCell = document.createElement('th');
+            headerCell.className = 'table-select';
+            this.selectAll = document.createElement('input');
+            this.selectAll.type = 'checkbox';
+            this.selectAll.className = 'form-checkbox';
+            this.selectAll.setAttribute('aria-label', this.options.selectAllLabel);
+            headerCell.appendChild(this.selectAll);
+            if (this.headerRow) this.headerRow.insertBefore(headerCell, this.headerRow.firstChild);
+
+            this.rows.forEach(row => this.addCheckbox(row));
+
+            this.listen(this.element, 'change', (e) => {
+                if (e.target === this.selectAll) {
+                    this.selectAllRows(this.selectAll.checked);
+                    return;
+                }
+
+                const row = this.rows.find(candidate => candidate.checkbox === e.target);
+                if (row) this.select(row.id, e.target.checked);
+            });
+        }
+
+        addCheckbox(row) {
+            const cell = document.createElement('td');
+            cell.className = 'table-select';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.className = 'form-checkbox';
+            checkbox.setAttribute('aria-label', this.options.selectRowLabel.replace('{label}', row.values[0] || row.id));
+
+            cell.appendChild(checkbox);
+            row.element.insertBefore(cell, row.element.firstChild);
+            row.checkbox = checkbox;
+        }
+
+        // Status and page controls go after the .table-container when the table has one
+        setupFooter() {
+            const anchor = this.element.closest('.table-container') || this.element;
+
+            this.footer = document.createElement('div');
+            this.footer.className = 'table-footer';
+
+            this.status = document.createElement('p');
+            this.status.className = 'pagination-info table-status';
+            this.status.setAttribute('aria-live', 'polite');
+            this.footer.appendChild(this.status);
+
+            this.pagination = document.createElement('nav');
+            this.pagination.className = 'pagination table-pagination';
+            this.pagination.setAttribute('aria-label', this.options.paginationLabel);
+            this.footer.appendChild(this.pagination);
+
+            anchor.insertAdjacentElement('afterend', this.footer);
+
+            this.listen(this.pagination, 'click', (e) => {
+                const button = e.target.closest('[data-page]');
+                if (button && !button.disabled) this.goTo(Number(button.getAttribute('data-page')));
+            });
+        }
+
+        // data-table-filter="#search" names the text input that filters the rows
+        setupFilter() {
+            if (!this.options.filter) return;
+
+            this.filterInput = typeof this.options.filter === 'string'
+                ? this.framework.root.querySelector(this.options.filter) : this.options.filter;
+            if (!this.filterInput) return;
+
+            if (!this.element.id) this.element.id = EasyCSSEnhanced.uniqueId('table');
+            this.filterInput.setAttribute('aria-controls', this.element.id);
+
+            const update = EasyCSSEnhanced.debounce(() => {
+                if (this.filterInput) this.filter(this.filterInput.value);
+            }, this.options.filterDelay);
+            this.listen(this.filterInput, 'input', update);
+        }
+
+        // Stable sort; empty cells always go last
+        sort(column, direction = 'ascending') {
+            const target = this.columns[column];
+            if (!target || target.type === 'none') return this;
+
+            this.sortState = { column, direction };
+            this.columns.forEach(({ th, index }) => {
+                if (index === column) th.setAttribute('aria-sort', direction);
+                else th.removeAttribute('aria-sort');
+            });
+
+            this.page = 1;
+            this.render();
+            this.changed('sort', { column, direction });
+            return this;
+        }
+
+        compare(a, b) {
+            const { column, direction } = this.sortState;
+            const { type } = this.columns[column];
+            const left = a.values[column] || '';
+            const right = b.values[column] || '';
+
+            if (left === '' || right === '') {
+                if (left === right) return a.index - b.index;
+                return left === '' ? 1 : -1;
+            }
+
+            let result;
+            if (type === 'number' || type === 'date') {
+                const parse = type === 'number' ? DataTable.parseNumber : DataTable.parseDate;
+                const x = parse(left);
+                const y = parse(right);
+                result = Number.isNaN(x) || Number.isNaN(y) ? this.collator.compare(left, right) : x - y;
+            } else {
+                result = this.collator.compare(left, right);
+            }
+
+            if (direction === 'descending') result = -result;
+            return result || a.index - b.index;
+        }
+
+        get collator() {
+            if (!this.cachedCollator) {
+                const lang = this.element.closest('[lang]');
+                this.cachedCollator = new Intl.Collator(lang ? lang.getAttribute('lang') : undefined, {
+                    numeric: true,
+                    sensitivity: 'base'
+                });
+            }
+            return this.cachedCollator;
+        }
+
+        // Every word of the query has to appear somewhere in the row
+        filter(query) {
+            this.query = String(query || '');
+            if (this.filterInput && this.filterInput.value !== this.query) this.filterInput.value = this.query;
+
+            this.page = 1;
+            this.render();
+            this.changed('filter', { query: this.query, count: this.view.length });
+            return this;
+        }
+
+        matches(row, terms) {
+            const text = normalizeText(row.values.join(' '));
+            return terms.every(term => text.includes(term));
+        }
+
+        goTo(page) {
+            const target = Math.min(Math.max(1, Number(page) || 1), this.pageCount);
+            if (target === this.page) return this;
+
+            this.page = target;
+            this.render();
+            this.changed('page', { page: target, pageCount: this.pageCount });
+            return this;
+        }
+
+        setPageSize(size) {
+            this.options.pageSize = Math.max(0, Number(size) || 0);
+            this.page = 1;
+            this.render();
+            this.changed('page', { page: 1, pageCount: this.pageCount });
+            return this;
+        }
+
+        // ids are data-row-id values (or row positions); selection survives sorting, filtering and paging
+        select(ids, checked = true) {
+            (Array.isArray(ids) ? ids : [ids]).forEach(id => {
+                if (checked) this.selected.add(String(id));
+                else this.selected.delete(String(id));
+            });
+
+            this.renderSelection();
+            this.changed('select', { selected: this.getSelected() });
+            return this;
+        }
+
+        // Applies to every row that matches the filter, including those on other pages
+        selectAllRows(checked = true) {
+            return this.select(this.view.map(row => row.id), checked);
+        }
+
+        getSelected() {
+            return this.rows.filter(row => this.selected.has(row.id)).map(row => row.id);
+        }
+
+        getSelectedRows() {
+            return this.rows.filter(row => this.selected.has(row.id)).map(row => row.element);
+        }
+
+        render() {
+            const terms = normalizeText(this.query).split(/\s+/).filter(Boolean);
+            this.view = terms.length ? this.rows.filter(row => this.matches(row, terms)) : this.rows.slice();
+            if (this.sortState.column !== null && this.columns[this.sortState.column]) {
+                this.view.sort((a, b) => this.compare(a, b));
+            }
+
+            this.page = Math.min(this.page, this.pageCount);
+            const { pageSize } = this.options;
+            const start = pageSize > 0 ? (this.page - 1) * pageSize : 0;
+            const rows = pageSize > 0 ? this.view.slice(start, start + pageSize) : this.view;
+
+            this.pageRows = rows;
+            const fragment = document.createDocumentFragment();
+            rows.forEach(row => fragment.appendChild(row.element));
+            if (!rows.length) fragment.appendChild(this.getEmptyRow());
+            this.tbody.textContent = '';
+            this.tbody.appendChild(fragment);
+
+            this.renderStatus(start, rows.length);
+            this.renderPagination();
+            this.renderSelection();
+            return this;
+        }
+
+        getEmptyRow() {
+            if (!this.emptyRow) {
+                this.emptyRow = document.createElement('tr');
+                this.emptyRow.className = 'table-empty';
+                const cell = document.createElement('td');
+                cell.textContent = this.options.emptyText;
+                this.emptyRow.appendChild(cell);
+            }
+
+            const columnCount = this.headerRow ? this.headerRow.cells.length : 1;
+            this.emptyRow.cells[0].colSpan = columnCount;
+            return this.emptyRow;
+        }
+
+        renderStatus(start, count) {
+            const total = this.view.length;
+            this.status.textContent = this.options.statusText
+                .replace('{start}', total ? start + 1 : 0)
+                .replace('{end}', start + count)
+                .replace('{total}', total);
+        }
+
+        // Previous, first, last and the pages around the current one, with gaps between
+        renderPagination() {
+            const { pageCount, page } = this;
+            this.pagination.textContent = '';
+            this.pagination.hidden = pageCount <= 1;
+            if (pageCount <= 1) return;
+
+            const button = (label, target, className = '') => {
+                const item = document.createElement('button');
+                item.type = 'button';
+                item.className = `pagination-item ${className}`.trim();
+                item.textContent = label;
+                item.setAttribute('data-page', target);
+                this.pagination.appendChild(item);
+                return item;
+            };
+
+            button(this.options.previousText, page - 1, 'pagination-prev').disabled = page === 1;
+
+            let previous = 0;
+            for (let number = 1; number <= pageCount; number += 1) {
+                if (number !== 1 && number !== pageCount && Math.abs(number - page) > 1) continue;
+
+                if (number - previous > 1) {
+                    const gap = document.createElement('span');
+                    gap.className = 'pagination-info';
+                    gap.textContent = '…';
+                    this.pagination.appendChild(gap);
+                }
+                const item = button(String(number), number, number === page ? 'active' : '');
+                if (number === page) item.setAttribute('aria-current', 'page');
+                previous = number;
+            }
+
+            button(this.options.nextText, page + 1, 'pagination-next').disabled = page === pageCount;
+        }
+
+        renderSelection() {
+            if (!this.options.selectable) return;
+
+            // Only attached rows are touched; the rest are synced when render() shows them
+            this.pageRows.forEach(row => {
+                const checked = this.selected.has(row.id);
+                row.checkbox.checked = checked;
+                row.element.classList.toggle('table-row-selected', checked);
+            });
+
+            const count = this.view.filter(row => this.selected.has(row.id)).length;
+            this.selectAll.checked = count > 0 && count === this.view.length;
+            this.selectAll.indeterminate = count > 0 && count < this.view.length;
+        }
+
+        // Everything needed to put the table back the way it was, e.g. from storage or the URL
+        getState() {
+            return {
+                sort: { ...this.sortState },
+                filter: this.query,
+                page: this.page,
+                pageSize: this.options.pageSize,
+                selected: this.getSelected()
+            };
+        }
+
+        setState(state = {}) {
+            if (state.pageSize !== undefined) this.options.pageSize = Math.max(0, Number(state.pageSize) || 0);
+            if (state.filter !== undefined) {
+                this.query = String(state.filter || '');
+                if (this.filterInput) this.filterInput.value = this.query;
+            }
+            if (Array.isArray(state.selected)) this.selected = new Set(state.selected.map(String));
+
+            const sort = state.sort || {};
+            if (this.columns[sort.column] && this.columns[sort.column].type !== 'none') {
+                this.sortState = { column: sort.column, direction: sort.direction === 'descending' ? 'descending' : 'ascending' };
+                this.columns.forEach(({ th, index }) => {
+                    if (index === sort.column) th.setAttribute('aria-sort', this.sortState.direction);
+                    else th.removeAttribute('aria-sort');
+                });
+            }
+
+            // render() clamps the page once the filtered row count is known
+            this.page = Math.max(1, Number(state.page) || 1);
+            return this.render();
+        }
+
+        // Picks up rows other code added to or removed from the tbody and re-reads every cell
+        refresh() {
+            const known = new Set(this.rows.map(row => row.element));
+
+            const shown = new Set(this.pageRows);
+            this.rows = this.rows.filter(row => !shown.has(row) || row.element.parentNode === this.tbody);
+            this.rows.forEach(row => {
+                row.values = this.readValues(row.element);
+            });
+
+            Array.from(this.tbody.rows).forEach(tr => {
+                if (known.has(tr) || tr === this.emptyRow) return;
+
+                const row = this.createRow(tr, this.nextIndex);
+                this.nextIndex += 1;
+                if (this.options.selectable) this.addCheckbox(row);
+                this.rows.push(row);
+            });
+
+            this.columns.forEach(column => {
+                if (!column.th.hasAttribute('data-sort') && column.type !== 'none') {
+                    column.type = this.detectType(column.index);
+                }
+            });
+            return this.render();
+        }
+
+        changed(type, detail) {
+            if (this.options.persist) this.persist();
+
+            const state = this.getState();
+            this.trigger(type, { ...detail, state });
+            this.framework.emit(`easycss:table-${type}`, { table: this.element, ...detail, state });
+            this.framework.emit('easycss:table-change', { table: this.element, type, state });
+        }
+
+        persist() {
+            if (!this.storageKey) {
+                this.framework.warn('EasyCSS table: data-table-persist needs an id or data-table-key');
+                return this;
+            }
+
+            this.framework.writeStorage(this.storageKey, JSON.stringify(this.getState()));
+            return this;
+        }
+
+        restore() {
+            const stored = this.storageKey && this.framework.readStorage(this.storageKey);
+            if (!stored) return this;
+
+            let state;
+            try {
+                state = JSON.parse(stored);
+            } catch (error) {
+                return this;
+            }
+            if (!state || typeof state !== 'object') return this;
+
+            return this.setState(state);
+        }
+
+        // Puts every row back in its original order and removes the added controls
+        teardown() {
+            this.tbody.textContent = '';
+            this.rows.slice().sort((a, b) => a.index - b.index).forEach(row => {
+                row.element.classList.remove('table-row-selected');
+                if (row.checkbox) row.checkbox.parentNode.remove();
+                this.tbody.appendChild(row.element);
+            });
+
+            this.columns.forEach(({ th, button }) => {
+                th.removeAttribute('aria-sort');
+                if (!button) return;
+                while (button.firstChild) th.insertBefore(button.firstChild, button);
+                button.remove();
+            });
+
+            if (this.selectAll) this.selectAll.parentNode.remove();
+            this.footer.remove();
+            if (this.filterInput) this.filterInput.removeAttribute('aria-controls');
+            this.filterInput = null;
+        }
+    }
+
+    // Toasts per screen position, with a visible limit, a queue, de-duplication and pausable timers
+    class ToastManager {
+        constructor(framework) {
+            this.framework = framework;
+            this.toasts = new Map();
+            this.queue = [];
+            this.containers = new Map();
+        }
+
+        static get iconMap() {
+            return {
+                success: '✅',
+                warning: '⚠️',
+                danger: '❌',
+                info: 'ℹ️'
+            };
+        }
+
+        static get positions() {
+            return ['top-start', 'top-center', 'top-end', 'bottom-start', 'bottom-center', 'bottom-end',
+                'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+        }
+
+        static get defaults() {
+            return {
+                type: 'info',
+                title: '',
+                message: '',
+                duration: 5000,
+                persistent: false,
+                position: null,
+                dedupe: true,
+                html: false,
+                sanitize: undefined,
+                progress: true,
+                pauseOnHover: true,
+                loading: false,
+                icon: null,
+                actions: []
+            };
+        }
+
+        // start/end follow the page direction; the default top-end container is the original one
+        getContainer(position) {
+            if (this.containers.has(position) && this.containers.get(position).isConnected) {
+                return this.containers.get(position);
+            }
+
+            const isDefault = position === 'top-end';
+            let container = this.framework.root.querySelector(isDefault
+                ? '[data-toast-container=""], [data-toast-container="top-end"]'
+                : `[data-toast-container="${position}"]`);
+
+            if (!container) {
+                container = document.createElement('div');
+                container.className = isDefault ? 'toast-container' : `toast-container toast-container-${position}`;
+                container.setAttribute('data-toast-container', isDefault ? '' : position);
+                container.setAttribute('aria-live', 'polite');
+                container.setAttribute('aria-atomic', 'true');
+                (this.framework.options.root || document.body).appendChild(container);
+                this.framework.addCleanup(this.framework, () => container.remove());
+            }
+
+            this.containers.set(position, container);
+            return container;
+        }
+
+        resolvePosition(position) {
+            const value = position || this.framework.options.toastPosition;
+            return ToastManager.positions.includes(value) ? value : 'top-end';
+        }
+
+        // DOM node content never counts as a duplicate
+        getKey(config) {
+            if ([config.title, config.message].some(value => value && typeof value === 'object')) {
+                return config.id ? `id:${config.id}` : null;
+            }
+            return config.id ? `id:${config.id}` : [config.type, config.title, config.message].join('\u0000');
+        }
+
+        get(id) {
+            const record = typeof id === 'string' ? this.toasts.get(id) : Array.from(this.toasts.values()).find(entry => entry.element === id);
+            return record || null;
+        }
+
+        visibleIn(position) {
+            return Array.from(this.toasts.values()).filter(record => record.position === position && record.visible && !record.hiding);
+        }
+
+        show(config = {}) {
+            const settings = { ...ToastManager.defaults, ...config };
+
+            // Same id updates in place; same content just restarts the existing toast's timer
+            if (settings.id && this.toasts.has(settings.id)) {
+                return this.update(settings.id, config).element;
+            }
+            if (settings.dedupe) {
+                const key = this.getKey(settings);
+                const duplicate = key !== null &&
+                    Array.from(this.toasts.values()).find(record => record.key === key && !record.hiding);
+                if (duplicate) {
+                    if (duplicate.visible) this.startTimer(duplicate, true);
+                    return duplicate.element;
+                }
+            }
+
+            const id = settings.id || EasyCSSEnhanced.uniqueId('toast');
+            const element = document.createElement('div');
+            element.id = id;
+
+            const record = {
+                id,
+                element,
+                config: settings,
+                key: this.getKey(settings),
+                position: this.resolvePosition(settings.position),
+                visible: false,
+                hiding: false,
+                timer: null,
+                remaining: 0,
+                startedAt: 0,
+                hovered: false,
+                focused: false
+            };
 
-class EasyCSSEnhanced {
-    constructor() {
-        this.components = new Map();
-        this.observers = new Map();
-        this.theme = localStorage.getItem('easycss-theme') || 'light';
-        this.direction = document.documentElement.dir || 'ltr';
-        this.init();
-    }
+            this.toasts.set(id, record);
+            this.render(record);
+            this.bind(record);
+
+            const limit = this.framework.options.maxToasts;
+            if (limit > 0 && this.visibleIn(record.position).length >= limit) {
+                this.queue.push(record);
+                this.framework.emit('easycss:toast-queued', { toast: element, id, config: settings });
+            } else {
+                this.reveal(record);
+            }
 
-    init() {
-        // Initialize when DOM is ready
-        if (document.readyState === 'loading') {
-            document.addEventListener('DOMContentLoaded', () => this.initializeComponents());
-        } else {
-            this.initializeComponents();
+            return element;
         }
-    }
 
-    initializeComponents() {
-        this.initTheme();
-        this.initModals();
-        this.initDropdowns();
-        this.initTabs();
-        this.initAccordions();
-        this.initTooltips();
-        this.initToasts();
-        this.initNavbarToggle();
-        this.initSmoothScroll();
-        this.initAnimationTriggers();
-        this.initLoadingStates();
-        this.initAlertClose();
-        this.initLanguageToggle();
-        this.initAccessibility();
-        this.initPerformanceOptimizations();
-        
-        // Emit ready event
-        this.emit('easycss:ready', { framework: this });
-    }
+        reveal(record) {
+            const container = this.getContainer(record.position);
+            container.appendChild(record.element);
+            record.visible = true;
 
-    // Enhanced Theme Management
-    initTheme() {
-        // Set initial theme
-        document.documentElement.setAttribute('data-theme', this.theme);
-        this.updateThemeIcon(this.theme);
-
-        // Theme toggle handlers
-        const toggles = document.querySelectorAll('[data-theme-toggle]');
-        toggles.forEach(toggle => {
-            toggle.addEventListener('click', () => this.toggleTheme());
-        });
-
-        // System preference detection
-        if (window.matchMedia) {
-            const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-            mediaQuery.addEventListener('change', (e) => {
-                if (!localStorage.getItem('easycss-theme')) {
-                    this.setTheme(e.matches ? 'dark' : 'light');
-                }
+            // Show toast with animation, unless it was hidden before the frame came
+            requestAnimationFrame(() => {
+                if (!record.hiding) record.element.classList.add('show');
             });
+
+            this.startTimer(record);
+            this.framework.emit('easycss:toast-shown', { toast: record.element, id: record.id, config: record.config });
         }
-    }
 
-    toggleTheme() {
-        const newTheme = this.theme === 'dark' ? 'light' : 'dark';
-        this.setTheme(newTheme);
-    }
+        render(record) {
+            const { element, config } = record;
+            const autoDismiss = !config.persistent && config.duration > 0;
+
+            element.className = `toast toast-${config.type}${config.loading ? ' toast-loading' : ''}`;
+            element.setAttribute('role', 'alert');
+            element.setAttribute('aria-live', 'assertive');
+            element.toggleAttribute('aria-busy', Boolean(config.loading));
+            element.textContent = '';
+
+            const create = (tag, className, text) => {
+                const node = document.createElement(tag);
+                node.className = className;
+                if (text) node.textContent = text;
+                return node;
+            };
 
-    setTheme(theme) {
-        this.theme = theme;
-        document.documentElement.setAttribute('data-theme', theme);
-        localStorage.setItem('easycss-theme', theme);
-        this.updateThemeIcon(theme);
-        this.emit('easycss:theme-changed', { theme });
-    }
+            // Title and message are text unless the caller passes a DOM node or opts into trusted HTML
+            const createText = (className, value) => this.framework.renderContent(create('div', className), value, {
+                html: config.html,
+                sanitize: config.sanitize
+            });
 
-    updateThemeIcon(theme) {
-        const icons = document.querySelectorAll('.theme-icon');
-        icons.forEach(icon => {
-            icon.textContent = theme === 'dark' ? '☀️' : '🌙';
-        });
-    }
+            // A loading toast draws a spinner in place of the icon
+            const iconContent = config.loading ? '' : config.icon || ToastManager.iconMap[config.type] || ToastManager.iconMap.info;
+            const icon = create('div', 'toast-icon', iconContent);
+            icon.setAttribute('aria-hidden', 'true');
+            element.appendChild(icon);
+
+            const content = create('div', 'toast-content');
+            if (config.title) content.appendChild(createText('toast-title', config.title));
+            if (config.message) content.appendChild(createText('toast-message', config.message));
+
+            if (config.actions && config.actions.length) {
+                const actions = create('div', 'toast-actions');
+                config.actions.forEach(action => {
+                    const button = create('button', `btn btn-sm btn-${action.variant || 'secondary'}`);
+                    button.type = 'button';
+                    button.textContent = action.label;
+                    button.addEventListener('click', () => {
+                        if (typeof action.onClick === 'function') {
+                            action.onClick({ id: record.id, toast: element, hide: () => this.hide(record.id) });
+                        }
+                        if (action.dismiss !== false) this.hide(record.id);
+                    });
+                    actions.appendChild(button);
+                });
+                content.appendChild(actions);
+            }
+            element.appendChild(content);
+
+            const closeButton = create('button', 'toast-close', '×');
+            closeButton.type = 'button';
+            closeButton.setAttribute('aria-label', 'Close notification');
+            closeButton.addEventListener('click', () => this.hide(record.id));
+            element.appendChild(closeButton);
+
+            if (config.progress && autoDismiss) {
+                const progress = create('div', 'toast-progress');
+                progress.style.animationDuration = `${config.duration}ms`;
+                element.appendChild(progress);
+            }
 
-    // Enhanced Modal Component
-    initModals() {
-        const modals = document.querySelectorAll('[data-modal]');
-        const triggers = document.querySelectorAll('[data-modal-trigger]');
+            if (record.visible) element.classList.add('show');
+            if (this.isPaused(record)) element.classList.add('toast-paused');
+        }
 
-        triggers.forEach(trigger => {
-            trigger.addEventListener('click', (e) => {
-                e.preventDefault();
-                const modalId = trigger.getAttribute('data-modal-trigger');
-                this.openModal(modalId);
-            });
-        });
+        // Hovering or focusing a toast pauses its timer and progress bar
+        bind(record) {
+            const { element } = record;
+            const setState = (state, value) => {
+                if (!record.config.pauseOnHover) return;
+                const wasPaused = this.isPaused(record);
+                record[state] = value;
+                if (wasPaused !== this.isPaused(record)) {
+                    if (wasPaused) this.resumeTimer(record);
+                    else this.pauseTimer(record);
+                }
+            };
 
-        modals.forEach(modal => {
-            const closeButtons = modal.querySelectorAll('[data-modal-close]');
-            closeButtons.forEach(button => {
-                button.addEventListener('click', () => this.closeModal(modal));
+            element.addEventListener('mouseenter', () => setState('hovered', true));
+            element.addEventListener('mouseleave', () => setState('hovered', false));
+            element.addEventListener('focusin', () => setState('focused', true));
+            element.addEventListener('focusout', (e) => {
+                if (!element.contains(e.relatedTarget)) setState('focused', false);
             });
+        }
 
-            // Close on escape key
-            document.addEventListener('keydown', (e) => {
-                if (e.key === 'Escape' && modal.classList.contains('active')) {
-                    this.closeModal(modal);
-                }
-            });
+        isPaused(record) {
+            return record.hovered || record.focused;
+        }
 
-            // Close on backdrop click
-            const backdrop = modal.querySelector('.modal-backdrop');
-            if (backdrop) {
-                backdrop.addEventListener('click', () => this.closeModal(modal));
-            }
-        });
-    }
+        startTimer(record, restart = false) {
+            clearTimeout(record.timer);
+            record.timer = null;
 
-    openModal(modalId) {
-        const modal = document.querySelector(`[data-modal="${modalId}"]`);
-        if (!modal) return;
-
-        modal.classList.add('active');
-        document.body.style.overflow = 'hidden';
-        
-        // Focus management
-        const focusableElements = modal.querySelectorAll(
-            'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
-        );
-        if (focusableElements.length) {
-            focusableElements[0].focus();
-        }
-
-        // Trap focus within modal
-        this.trapFocus(modal, focusableElements);
-        
-        this.emit('easycss:modal-opened', { modal, modalId });
-    }
+            const { config } = record;
+            if (config.persistent || !(config.duration > 0)) return;
 
-    closeModal(modal) {
-        modal.classList.remove('active');
-        document.body.style.overflow = '';
-        this.emit('easycss:modal-closed', { modal });
-    }
+            record.remaining = config.duration;
 
-    trapFocus(container, focusableElements) {
-        if (focusableElements.length === 0) return;
+            // Restarting replays the progress bar from full
+            const progress = record.element.querySelector('.toast-progress');
+            if (restart && progress) {
+                const fresh = progress.cloneNode(false);
+                progress.replaceWith(fresh);
+            }
 
-        const firstElement = focusableElements[0];
-        const lastElement = focusableElements[focusableElements.length - 1];
+            if (this.isPaused(record)) {
+                record.element.classList.add('toast-paused');
+                return;
+            }
+            this.resumeTimer(record);
+        }
 
-        const handleTabKey = (e) => {
-            if (e.key !== 'Tab') return;
+        pauseTimer(record) {
+            record.element.classList.add('toast-paused');
+            if (!record.timer) return;
 
-            if (e.shiftKey) {
-                if (document.activeElement === firstElement) {
-                    e.preventDefault();
-                    lastElement.focus();
-                }
-            } else {
-                if (document.activeElement === lastElement) {
-                    e.preventDefault();
-                    firstElement.focus();
-                }
-            }
-        };
+            clearTimeout(record.timer);
+            record.timer = null;
+            record.remaining = Math.max(0, record.remaining - (Date.now() - record.startedAt));
+        }
 
-        container.addEventListener('keydown', handleTabKey);
-        
-        // Remove listener when modal closes
-        const removeListener = () => {
-            container.removeEventListener('keydown', handleTabKey);
-        };
-        
-        this.on('easycss:modal-closed', removeListener);
-    }
+        resumeTimer(record) {
+            record.element.classList.remove('toast-paused');
+            const { config } = record;
+            if (record.timer || !record.visible || config.persistent || !(config.duration > 0)) return;
 
-    // Enhanced Dropdown Component
-    initDropdowns() {
-        const dropdowns = document.querySelectorAll('[data-dropdown]');
+            record.startedAt = Date.now();
+            record.timer = setTimeout(() => this.hide(record.id), record.remaining);
+        }
 
-        dropdowns.forEach(dropdown => {
-            const trigger = dropdown.querySelector('[data-dropdown-trigger]');
-            const menu = dropdown.querySelector('.dropdown-menu');
+        // Merges new settings into a toast, e.g. turning "Saving…" into "Saved"
+        update(id, config = {}) {
+            const record = this.get(id);
+            if (!record) return null;
 
-            if (!trigger || !menu) return;
+            record.config = { ...record.config, ...config, id: record.config.id };
+            record.key = this.getKey(record.config);
+            this.render(record);
+            if (record.visible) this.startTimer(record);
 
-            trigger.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.toggleDropdown(dropdown);
-            });
+            this.framework.emit('easycss:toast-updated', { toast: record.element, id: record.id, config: record.config });
+            return record;
+        }
 
-            // Close dropdown when clicking outside
-            document.addEventListener('click', (e) => {
-                if (!dropdown.contains(e.target)) {
-                    this.closeDropdown(dropdown);
-                }
-            });
+        // Shows a persistent loading toast and turns it into the success or danger variant once the
+        // promise settles. Each message is a string, a toast config, or a function of the result.
+        promise(promise, messages = {}, config = {}) {
+            const toConfig = (message, value) => {
+                const result = typeof message === 'function' ? message(value) : message;
+                if (result === undefined || result === null) return null;
+                return typeof result === 'object' && !result.nodeType ? result : { title: '', message: result };
+            };
 
-            // Enhanced keyboard navigation
-            dropdown.addEventListener('keydown', (e) => {
-                this.handleDropdownKeyboard(e, dropdown);
+            const element = this.show({
+                ...config,
+                ...(toConfig(messages.loading) || { message: 'Loading…' }),
+                type: 'info',
+                loading: true,
+                persistent: true,
+                dedupe: false
             });
+            const id = element.id;
+            const duration = config.duration !== undefined ? config.duration : ToastManager.defaults.duration;
 
-            // Auto-positioning
-            this.positionDropdown(dropdown, menu);
-        });
-    }
+            const settle = (type, settled) => {
+                // Dismissed while the promise was pending
+                if (!this.toasts.has(id)) return;
+
+                if (!settled) {
+                    this.hide(id);
+                    return;
+                }
 
-    toggleDropdown(dropdown) {
-        const isActive = dropdown.classList.contains('active');
-        
-        // Close all other dropdowns
-        document.querySelectorAll('[data-dropdown].active').forEach(d => {
-            if (d !== dropdown) this.closeDropdown(d);
-        });
+                this.update(id, {
+                    duration,
+                    persistent: Boolean(config.persistent),
+                    ...settled,
+                    type,
+                    loading: false
+                });
+            };
 
-        if (isActive) {
-            this.closeDropdown(dropdown);
-        } else {
-            this.openDropdown(dropdown);
-        }
-    }
+            // A function that throws synchronously rejects the task instead of leaving the loading toast up
+            const task = typeof promise === 'function'
+                ? new Promise(resolve => resolve(promise()))
+                : Promise.resolve(promise);
+            task.then(
+                value => settle('success', toConfig(messages.success, value)),
+                error => settle('danger', toConfig(messages.error, error) ||
+                    { message: (error && error.message) || 'Something went wrong' })
+            ).catch(error => {
+                // A success/error message function threw; don't leave a persistent spinner behind
+                this.framework.warn('EasyCSS toast: could not render the settled toast', error);
+                this.hide(id);
+            });
 
-    openDropdown(dropdown) {
-        dropdown.classList.add('active');
-        const menu = dropdown.querySelector('.dropdown-menu');
-        if (menu) {
-            this.positionDropdown(dropdown, menu);
+            return task;
         }
-        this.emit('easycss:dropdown-opened', { dropdown });
-    }
 
-    closeDropdown(dropdown) {
-        dropdown.classList.remove('active');
-        this.emit('easycss:dropdown-closed', { dropdown });
-    }
+        hide(id) {
+            const record = this.get(id);
+            if (!record) {
+                // Toast markup the manager doesn't track
+                if (id && id.nodeType === 1) {
+                    id.classList.remove('show');
+                    this.framework.addTimeout(this.framework, () => id.remove(), 300);
+                }
+                return;
+            }
+            if (record.hiding) return;
 
-    positionDropdown(dropdown, menu) {
-        const rect = dropdown.getBoundingClientRect();
-        const menuRect = menu.getBoundingClientRect();
-        const viewportHeight = window.innerHeight;
-        const viewportWidth = window.innerWidth;
+            clearTimeout(record.timer);
+            record.hiding = true;
 
-        // Reset classes
-        menu.classList.remove('dropdown-menu-up', 'dropdown-menu-right');
+            const queued = this.queue.indexOf(record);
+            if (queued !== -1) {
+                this.queue.splice(queued, 1);
+                this.toasts.delete(record.id);
+                return;
+            }
 
-        // Check if dropdown should open upward
-        if (rect.bottom + menuRect.height > viewportHeight && rect.top > menuRect.height) {
-            menu.classList.add('dropdown-menu-up');
-        }
+            const toast = record.element;
+            toast.classList.remove('show');
+            this.flush(record.position);
 
-        // Check if dropdown should align to the right
-        if (rect.left + menuRect.width > viewportWidth && rect.right > menuRect.width) {
-            menu.classList.add('dropdown-menu-right');
+            // Separate from the dismissal timer, which hover and focus pause; clear() cancels both
+            record.removeTimer = setTimeout(() => {
+                this.toasts.delete(record.id);
+                if (toast.parentNode) {
+                    toast.parentNode.removeChild(toast);
+                    this.framework.emit('easycss:toast-hidden', { toast, id: record.id });
+                }
+            }, 300);
         }
-    }
 
-    handleDropdownKeyboard(e, dropdown) {
-        const items = dropdown.querySelectorAll('.dropdown-item:not(:disabled)');
-        const currentIndex = Array.from(items).findIndex(item => item === document.activeElement);
+        // Reveals queued toasts while their position has room
+        flush(position) {
+            const limit = this.framework.options.maxToasts;
+            let index = 0;
 
-        switch (e.key) {
-            case 'Escape':
-                e.preventDefault();
-                this.closeDropdown(dropdown);
-                dropdown.querySelector('[data-dropdown-trigger]').focus();
-                break;
-            case 'ArrowDown':
-                e.preventDefault();
-                const nextIndex = currentIndex < items.length - 1 ? currentIndex + 1 : 0;
-                items[nextIndex].focus();
-                break;
-            case 'ArrowUp':
-                e.preventDefault();
-                const prevIndex = currentIndex > 0 ? currentIndex - 1 : items.length - 1;
-                items[prevIndex].focus();
-                break;
-            case 'Enter':
-            case ' ':
-                if (document.activeElement.classList.contains('dropdown-item')) {
-                    e.preventDefault();
-                    document.activeElement.click();
+            while (index < this.queue.length) {
+                const record = this.queue[index];
+                if (record.position === position && (!(limit > 0) || this.visibleIn(position).length < limit)) {
+                    this.queue.splice(index, 1);
+                    this.reveal(record);
+                } else {
+                    index++;
                 }
-                break;
-            case 'Home':
-                e.preventDefault();
-                items[0].focus();
-                break;
-            case 'End':
-                e.preventDefault();
-                items[items.length - 1].focus();
-                break;
+            }
         }
-    }
-
-    // Enhanced Tabs Component
-    initTabs() {
-        const tabGroups = document.querySelectorAll('[data-tabs]');
-
-        tabGroups.forEach(tabGroup => {
-            const triggers = tabGroup.querySelectorAll('[data-tab-trigger]');
-            const panels = tabGroup.querySelectorAll('[data-tab-panel]');
-
-            triggers.forEach((trigger, index) => {
-                trigger.addEventListener('click', () => {
-                    const targetId = trigger.getAttribute('data-tab-trigger');
-                    this.switchTab(tabGroup, targetId, index);
-                });
 
-                // Keyboard navigation
-                trigger.addEventListener('keydown', (e) => {
-                    this.handleTabKeyboard(e, triggers, index);
-                });
+        clear() {
+            this.toasts.forEach(record => {
+                clearTimeout(record.timer);
+                clearTimeout(record.removeTimer);
+                record.element.remove();
             });
-        });
+            this.toasts.clear();
+            this.queue = [];
+        }
     }
 
-    switchTab(tabGroup, targetId, activeIndex) {
-        const triggers = tabGroup.querySelectorAll('[data-tab-trigger]');
-        const panels = tabGroup.querySelectorAll('[data-tab-panel]');
+    // Runtime design tokens: full shade scales generated from one color and written as custom properties
+    class DesignTokens {
+        constructor(framework) {
+            this.framework = framework;
+            this.palettes = new Map();
+            this.style = null;
+        }
 
-        // Remove active class from all triggers and panels
-        triggers.forEach(trigger => trigger.classList.remove('active'));
-        panels.forEach(panel => panel.classList.remove('active'));
+        static get shades() {
+            return [50, 100, 200, 300, 400, 500, 600, 700, 800, 900, 950];
+        }
 
-        // Add active class to target trigger and panel
-        const targetTrigger = tabGroup.querySelector(`[data-tab-trigger="${targetId}"]`);
-        const targetPanel = tabGroup.querySelector(`[data-tab-panel="${targetId}"]`);
+        // How far each shade moves from the base color (500) towards white or black
+        static get shadeScale() {
+            return {
+                50: 0.95, 100: 0.88, 200: 0.74, 300: 0.55, 400: 0.3,
+                500: 0,
+                600: -0.15, 700: -0.3, 800: -0.45, 900: -0.58, 950: -0.72
+            };
+        }
 
-        if (targetTrigger && targetPanel) {
-            targetTrigger.classList.add('active');
-            targetPanel.classList.add('active');
-            
-            // Update ARIA attributes
-            triggers.forEach((trigger, index) => {
-                trigger.setAttribute('aria-selected', index === activeIndex);
-                trigger.setAttribute('tabindex', index === activeIndex ? '0' : '-1');
-            });
+        static generatePalette(color) {
+            const rgb = DesignTokens.parseColor(color);
+            if (!rgb) {
+                throw new Error(`EasyCSS: can't parse color "${color}"`);
+            }
 
-            panels.forEach(panel => {
-                panel.setAttribute('aria-hidden', !panel.classList.contains('active'));
+            const [h, s, l] = DesignTokens.rgbToHsl(rgb);
+            const scale = DesignTokens.shadeScale;
+            const palette = {};
+
+            DesignTokens.shades.forEach(shade => {
+                const amount = scale[shade];
+                const lightness = amount >= 0 ? l + (0.97 - l) * amount : l * (1 + amount);
+                palette[shade] = DesignTokens.toHex(DesignTokens.hslToRgb([h, s, Math.min(Math.max(lightness, 0), 1)]));
             });
 
-            this.emit('easycss:tab-changed', { tabGroup, targetId, activeIndex });
+            return palette;
         }
-    }
 
-    handleTabKeyboard(e, triggers, currentIndex) {
-        let newIndex = currentIndex;
+        // Easy.css reads the same --name-* shades on dark surfaces, so a very dark or very light
+        // brand color is first pulled to a mid lightness that keeps those shades readable there
+        static generateDarkPalette(color) {
+            const rgb = DesignTokens.parseColor(color);
+            if (!rgb) {
+                throw new Error(`EasyCSS: can't parse color "${color}"`);
+            }
 
-        switch (e.key) {
-            case 'ArrowLeft':
-                e.preventDefault();
-                newIndex = currentIndex > 0 ? currentIndex - 1 : triggers.length - 1;
-                break;
-            case 'ArrowRight':
-                e.preventDefault();
-                newIndex = currentIndex < triggers.length - 1 ? currentIndex + 1 : 0;
-                break;
-            case 'Home':
-                e.preventDefault();
-                newIndex = 0;
-                break;
-            case 'End':
-                e.preventDefault();
-                newIndex = triggers.length - 1;
-                break;
-            default:
-                return;
+            const [h, s, l] = DesignTokens.rgbToHsl(rgb);
+            const base = DesignTokens.hslToRgb([h, s, Math.min(Math.max(l, 0.55), 0.7)]);
+            return DesignTokens.generatePalette(DesignTokens.toHex(base));
         }
 
-        triggers[newIndex].focus();
-        triggers[newIndex].click();
-    }
-
-    // Enhanced Accordion Component
-    initAccordions() {
-        const accordions = document.querySelectorAll('[data-accordion]');
-
-        accordions.forEach(accordion => {
-            const items = accordion.querySelectorAll('.accordion-item');
+        // Accepts #rgb, #rrggbb and rgb()/rgba(); returns [r, g, b] in 0-255 or null
+        static parseColor(color) {
+            const value = String(color).trim();
 
-            items.forEach((item, index) => {
-                const trigger = item.querySelector('[data-accordion-trigger]');
-                const content = item.querySelector('.accordion-content');
-                const icon = item.querySelector('.accordion-icon');
+            const hex = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+            if (hex) {
+                const digits = hex[1].length === 3
+                    ? hex[1].split('').map(digit => digit + digit).join('')
+                    : hex[1];
+                return [0, 2, 4].map(offset => parseInt(digits.slice(offset, offset + 2), 16));
+            }
 
-                if (!trigger || !content) return;
+            const rgb = value.match(/^rgba?\(\s*(\d+(?:\.\d+)?)[\s,]+(\d+(?:\.\d+)?)[\s,]+(\d+(?:\.\d+)?)/i);
+            if (rgb) {
+                return [rgb[1], rgb[2], rgb[3]].map(channel => Math.min(255, Math.round(parseFloat(channel))));
+            }
 
-                // Set initial ARIA attributes
-                const contentId = `accordion-content-${Date.now()}-${index}`;
-                content.id = contentId;
-                trigger.setAttribute('aria-controls', contentId);
-                trigger.setAttribute('aria-expanded', item.classList.contains('active'));
+            return null;
+        }
 
-                trigger.addEventListener('click', () => {
-                    this.toggleAccordionItem(item, icon, trigger, content);
-                });
+        static toHex(rgb) {
+            return '#' + rgb.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('');
+        }
 
-                // Keyboard navigation
-                trigger.addEventListener('keydown', (e) => {
-                    this.handleAccordionKeyboard(e, accordion, items, index);
-                });
-            });
-        });
-    }
+        static rgbToHsl([r, g, b]) {
+            r /= 255;
+            g /= 255;
+            b /= 255;
+
+            const max = Math.max(r, g, b);
+            const min = Math.min(r, g, b);
+            const l = (max + min) / 2;
+            if (max === min) return [0, 0, l];
+
+            const d = max - min;
+            const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+            let h;
+            if (max === r) {
+                h = (g - b) / d + (g < b ? 6 : 0);
+            } else if (max === g) {
+                h = (b - r) / d + 2;
+            } else {
+                h = (r - g) / d + 4;
+            }
 
-    toggleAccordionItem(item, icon, trigger, content) {
-        const isActive = item.classList.contains('active');
-        
-        if (isActive) {
-            item.classList.remove('active');
-            if (icon) icon.textContent = '+';
-            trigger.setAttribute('aria-expanded', 'false');
-            content.setAttribute('aria-hidden', 'true');
-        } else {
-            item.classList.add('active');
-            if (icon) icon.textContent = '−';
-            trigger.setAttribute('aria-expanded', 'true');
-            content.setAttribute('aria-hidden', 'false');
+            return [h / 6, s, l];
         }
 
-        this.emit('easycss:accordion-toggled', { item, isActive: !isActive });
-    }
+        static hslToRgb([h, s, l]) {
+            if (s === 0) return [l * 255, l * 255, l * 255];
 
-    handleAccordionKeyboard(e, accordion, items, currentIndex) {
-        let newIndex = currentIndex;
+            const hueToChannel = (p, q, t) => {
+                if (t < 0) t += 1;
+                if (t > 1) t -= 1;
+                if (t < 1 / 6) return p + (q - p) * 6 * t;
+                if (t < 1 / 2) return q;
+                if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+                return p;
+            };
 
-        switch (e.key) {
-            case 'ArrowDown':
-                e.preventDefault();
-                newIndex = currentIndex < items.length - 1 ? currentIndex + 1 : 0;
-                break;
-            case 'ArrowUp':
-                e.preventDefault();
-                newIndex = currentIndex > 0 ? currentIndex - 1 : items.length - 1;
-                break;
-            case 'Home':
-                e.preventDefault();
-                newIndex = 0;
-                break;
-            case 'End':
-                e.preventDefault();
-                newIndex = items.length - 1;
-                break;
-            default:
-                return;
+            const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+            const p = 2 * l - q;
+            return [h + 1 / 3, h, h - 1 / 3].map(t => hueToChannel(p, q, t) * 255);
         }
 
-        const newTrigger = items[newIndex].querySelector('[data-accordion-trigger]');
-        if (newTrigger) {
-            newTrigger.focus();
+        get storageKey() {
+            return `${this.framework.options.storageKey}-tokens`;
         }
-    }
 
-    // Enhanced Tooltip Component
-    initTooltips() {
-        const tooltips = document.querySelectorAll('[data-tooltip]');
-
-        tooltips.forEach(tooltip => {
-            const content = tooltip.getAttribute('data-tooltip');
-            let tooltipElement = tooltip.querySelector('.tooltip-content');
-
-            if (!tooltipElement && content) {
-                tooltipElement = document.createElement('div');
-                tooltipElement.className = 'tooltip-content';
-                tooltipElement.textContent = content;
-                tooltipElement.setAttribute('role', 'tooltip');
-                tooltip.appendChild(tooltipElement);
+        // options.dark: a separate base color for [data-theme="dark"], derived from color when omitted;
+        // options.persist: save to storage
+        setPalette(name, color, options = {}) {
+            if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/i.test(name)) {
+                throw new Error(`EasyCSS: invalid palette name "${name}"`);
             }
 
-            // Enhanced positioning
-            tooltip.addEventListener('mouseenter', () => {
-                this.positionTooltip(tooltip, tooltipElement);
-            });
+            const palette = {
+                base: color,
+                dark: options.dark || null,
+                shades: DesignTokens.generatePalette(color),
+                darkShades: options.dark ? DesignTokens.generatePalette(options.dark) : DesignTokens.generateDarkPalette(color)
+            };
 
-            // Keyboard support
-            tooltip.addEventListener('focus', () => {
-                this.positionTooltip(tooltip, tooltipElement);
-            });
-        });
-    }
+            this.palettes.set(name, palette);
+            this.render();
+
+            if (options.persist) {
+                this.persist();
+            }
 
-    positionTooltip(tooltip, tooltipElement) {
-        if (!tooltipElement) return;
-
-        const rect = tooltip.getBoundingClientRect();
-        const tooltipRect = tooltipElement.getBoundingClientRect();
-        const viewportWidth = window.innerWidth;
-        const viewportHeight = window.innerHeight;
-
-        // Reset position classes
-        tooltip.classList.remove('tooltip-top', 'tooltip-bottom', 'tooltip-left', 'tooltip-right');
-
-        // Determine best position
-        const spaceTop = rect.top;
-        const spaceBottom = viewportHeight - rect.bottom;
-        const spaceLeft = rect.left;
-        const spaceRight = viewportWidth - rect.right;
-
-        if (spaceTop > tooltipRect.height + 10) {
-            tooltip.classList.add('tooltip-top');
-        } else if (spaceBottom > tooltipRect.height + 10) {
-            tooltip.classList.add('tooltip-bottom');
-        } else if (spaceRight > tooltipRect.width + 10) {
-            tooltip.classList.add('tooltip-right');
-        } else if (spaceLeft > tooltipRect.width + 10) {
-            tooltip.classList.add('tooltip-left');
-        } else {
-            tooltip.classList.add('tooltip-top'); // Default fallback
+            if (this.framework.mounted) {
+                this.framework.emit('easycss:tokens-changed', { palette: name, shades: palette.shades, darkShades: palette.darkShades });
+            }
+            return this;
         }
-    }
 
-    // Enhanced Toast Component
-    initToasts() {
-        const triggers = document.querySelectorAll('[data-toast-trigger]');
-        
-        triggers.forEach(trigger => {
-            trigger.addEventListener('click', () => {
-                const config = JSON.parse(trigger.getAttribute('data-toast-trigger'));
-                this.showToast(config);
-            });
-        });
-
-        // Create toast container if it doesn't exist
-        if (!document.querySelector('[data-toast-container]')) {
-            const container = document.createElement('div');
-            container.className = 'toast-container';
-            container.setAttribute('data-toast-container', '');
-            container.setAttribute('aria-live', 'polite');
-            container.setAttribute('aria-atomic', 'true');
-            document.body.appendChild(container);
+        getPalette(name) {
+            const palette = this.palettes.get(name);
+            return palette ? { ...palette.shades } : null;
         }
-    }
 
-    showToast(config) {
-        const { type = 'info', title, message, duration = 5000, persistent = false } = config;
-        const container = document.querySelector('[data-toast-container]');
-        
-        if (!container) return;
-
-        const toastId = `toast-${Date.now()}`;
-        const toast = document.createElement('div');
-        toast.className = `toast toast-${type}`;
-        toast.id = toastId;
-        toast.setAttribute('role', 'alert');
-        toast.setAttribute('aria-live', 'assertive');
-        
-        const iconMap = {
-            success: '✅',
-            warning: '⚠️',
-            danger: '❌',
-            info: 'ℹ️'
-        };
-
-        const content = `
-            <div class="toast-icon">${iconMap[type] || 'ℹ️'}</div>
-            <div class="toast-content">
-                <div class="toast-title">${title}</div>
-                <div class="toast-message">${message}</div>
-            </div>
-            <button class="toast-close" aria-label="Close notification">&times;</button>
-        `;
-        
-        toast.innerHTML = content;
-        container.appendChild(toast);
-
-        // Show toast with animation
-        requestAnimationFrame(() => {
-            toast.classList.add('show');
-        });
-
-        // Close button functionality
-        const closeButton = toast.querySelector('.toast-close');
-        closeButton.addEventListener('click', () => {
-            this.hideToast(toast);
-        });
-
-        // Auto dismiss (unless persistent)
-        if (!persistent && duration > 0) {
-            setTimeout(() => {
-                this.hideToast(toast);
-            }, duration);
-        }
-
-        this.emit('easycss:toast-shown', { toast, config });
-        return toast;
-    }
+        removePalette(name) {
+            this.palettes.delete(name);
+            this.render();
 
-    hideToast(toast) {
-        toast.classList.remove('show');
-        setTimeout(() => {
-            if (toast.parentNode) {
-                toast.parentNode.removeChild(toast);
-                this.emit('easycss:toast-hidden', { toast });
+            if (this.framework.mounted) {
+                this.framework.emit('easycss:tokens-changed', { palette: name, shades: null, darkShades: null });
             }
-        }, 300);
-    }
+            return this;
+        }
 
-    // Enhanced Navbar Toggle
-    initNavbarToggle() {
-        const toggles = document.querySelectorAll('[data-navbar-toggle]');
-        
-        toggles.forEach(toggle => {
-            toggle.addEventListener('click', () => {
-                const navbar = toggle.closest('.navbar');
-                const nav = navbar.querySelector('.navbar-nav');
-                
-                if (nav) {
-                    const isActive = nav.classList.contains('active');
-                    nav.classList.toggle('active');
-                    toggle.classList.toggle('active');
-                    
-                    // Update ARIA attributes
-                    toggle.setAttribute('aria-expanded', !isActive);
-                    nav.setAttribute('aria-hidden', isActive);
-                    
-                    this.emit('easycss:navbar-toggled', { navbar, nav, isActive: !isActive });
-                }
-            });
-        });
-    }
+        reset() {
+            this.palettes.clear();
+            this.render();
+            if (this.framework.mounted) {
+                this.framework.writeStorage(this.storageKey, null);
+            }
+            return this;
+        }
 
-    // Enhanced Smooth Scroll
-    initSmoothScroll() {
-        const links = document.querySelectorAll('a[href^="#"]');
-        
-        links.forEach(link => {
-            link.addEventListener('click', (e) => {
-                const targetId = link.getAttribute('href');
-                const target = document.querySelector(targetId);
-                
-                if (target) {
-                    e.preventDefault();
-                    
-                    const headerOffset = 80; // Account for fixed headers
-                    const elementPosition = target.getBoundingClientRect().top;
-                    const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
-
-                    window.scrollTo({
-                        top: offsetPosition,
-                        behavior: 'smooth'
-                    });
+        persist() {
+            if (this.framework.mounted) {
+                this.framework.writeStorage(this.storageKey, this.export('json'));
+            }
+            return this;
+        }
 
-                    // Update focus for accessibility
-                    target.setAttribute('tabindex', '-1');
-                    target.focus();
-                    target.addEventListener('blur', () => {
-                        target.removeAttribute('tabindex');
-                    }, { once: true });
+        restore() {
+            const stored = this.framework.readStorage(this.storageKey);
+            if (stored) {
+                this.import(stored);
+            }
+            return this;
+        }
 
-                    this.emit('easycss:smooth-scroll', { target, link });
+        // JSON form is { name: { base, dark } }, enough to regenerate every shade
+        import(config) {
+            let palettes = config;
+            if (typeof config === 'string') {
+                try {
+                    palettes = JSON.parse(config);
+                } catch (error) {
+                    this.framework.warn('EasyCSS: ignoring invalid design token data', error);
+                    return this;
                 }
-            });
-        });
-    }
+            }
 
-    // Enhanced Animation Triggers
-    initAnimationTriggers() {
-        if (!('IntersectionObserver' in window)) return;
-
-        const animatedElements = document.querySelectorAll('[class*="animate-"]');
-        
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.style.animationPlayState = 'running';
-                    this.emit('easycss:animation-triggered', { element: entry.target });
+            Object.keys(palettes || {}).forEach(name => {
+                const { base, dark } = palettes[name] || {};
+                try {
+                    this.setPalette(name, base, { dark });
+                } catch (error) {
+                    this.framework.warn(`EasyCSS: ignoring palette "${name}"`, error);
                 }
             });
-        }, {
-            threshold: 0.1,
-            rootMargin: '0px 0px -50px 0px'
-        });
+            return this;
+        }
 
-        animatedElements.forEach(element => {
-            // Respect reduced motion preference
-            if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
-                return;
+        export(format = 'css') {
+            if (format === 'json') {
+                const palettes = {};
+                this.palettes.forEach((palette, name) => {
+                    palettes[name] = { base: palette.base, dark: palette.dark };
+                });
+                return JSON.stringify(palettes);
             }
-            
-            element.style.animationPlayState = 'paused';
-            observer.observe(element);
-        });
-
-        this.observers.set('animations', observer);
-    }
 
-    // Enhanced Loading States
-    initLoadingStates() {
-        // Loading button demo
-        const loadingButtons = document.querySelectorAll('[data-loading-btn]');
-        loadingButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                btn.classList.add('btn-loading');
-                setTimeout(() => {
-                    btn.classList.remove('btn-loading');
-                }, 3000);
-            });
-        });
-
-        // Loading demo trigger
-        const loadingDemo = document.querySelector('[data-loading-demo]');
-        if (loadingDemo) {
-            loadingDemo.addEventListener('click', () => {
-                this.showToast({
-                    type: 'info',
-                    title: 'Loading Demo',
-                    message: 'Check out the various loading states throughout the page!',
-                    duration: 3000
+            const light = [];
+            const dark = [];
+            this.palettes.forEach((palette, name) => {
+                DesignTokens.shades.forEach(shade => {
+                    light.push(`  --${name}-${shade}: ${palette.shades[shade]};`);
+                    dark.push(`  --${name}-${shade}: ${palette.darkShades[shade]};`);
                 });
             });
-        }
-    }
 
-    // Alert Close Functionality
-    initAlertClose() {
-        const closeButtons = document.querySelectorAll('[data-alert-close]');
-        closeButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                const alert = button.closest('.alert');
-                if (alert) {
-                    alert.style.opacity = '0';
-                    alert.style.transform = 'translateY(-10px)';
-                    setTimeout(() => {
-                        alert.remove();
-                    }, 300);
-                }
-            });
-        });
-    }
+            const rules = [];
+            if (light.length) rules.push(`:root {\n${light.join('\n')}\n}`);
+            if (dark.length) rules.push(`[data-theme="dark"] {\n${dark.join('\n')}\n}`);
+            return rules.join('\n\n');
+        }
 
-    // Language Toggle (RTL/LTR)
-    initLanguageToggle() {
-        const langButtons = document.querySelectorAll('[data-lang]');
-        langButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                const direction = button.getAttribute('data-lang');
-                document.documentElement.dir = direction;
-                this.direction = direction;
-                
-                // Update text content based on direction
-                if (direction === 'rtl') {
-                    this.showToast({
-                        type: 'success',
-                        title: 'تم تغيير الاتجاه',
-                        message: 'تم تغيير اتجاه النص إلى العربية بنجاح',
-                        duration: 3000
-                    });
-                } else {
-                    this.showToast({
-                        type: 'success',
-                        title: 'Direction Changed',
-                        message: 'Text direction changed to left-to-right successfully',
-                        duration: 3000
-                    });
-                }
-                
-                this.emit('easycss:direction-changed', { direction });
-            });
-        });
-    }
+        render() {
+            if (!this.framework.mounted) return this;
 
-    // Enhanced Accessibility Features
-    initAccessibility() {
-        // Skip to main content link
-        this.createSkipLink();
-        
-        // Enhanced focus management
-        this.initFocusManagement();
-        
-        // Keyboard navigation improvements
-        this.initKeyboardNavigation();
-        
-        // Screen reader announcements
-        this.initScreenReaderSupport();
-    }
+            if (!this.style) {
+                if (!this.palettes.size) return this;
 
-    createSkipLink() {
-        const skipLink = document.createElement('a');
-        skipLink.href = '#main-content';
-        skipLink.textContent = 'Skip to main content';
-        skipLink.className = 'sr-only focus:not-sr-only focus:absolute focus:top-4 focus:left-4 focus:z-50 focus:px-4 focus:py-2 focus:bg-primary focus:text-white focus:rounded';
-        document.body.insertBefore(skipLink, document.body.firstChild);
-    }
+                const style = document.createElement('style');
+                style.setAttribute('data-easycss-tokens', '');
+                document.head.appendChild(style);
+                this.style = style;
 
-    initFocusManagement() {
-        // Visible focus indicators
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Tab') {
-                document.body.classList.add('keyboard-navigation');
+                this.framework.addCleanup(this.framework, () => {
+                    style.remove();
+                    this.style = null;
+                });
             }
-        });
 
-        document.addEventListener('mousedown', () => {
-            document.body.classList.remove('keyboard-navigation');
-        });
+            this.style.textContent = this.export('css');
+            return this;
+        }
     }
 
-    initKeyboardNavigation() {
-        // Enhanced keyboard support for interactive elements
-        document.addEventListener('keydown', (e) => {
-            // Global keyboard shortcuts
-            if (e.altKey && e.key === 't') {
-                e.preventDefault();
-                this.toggleTheme();
-            }
-            
-            if (e.altKey && e.key === 'm') {
-                e.preventDefault();
-                const navbar = document.querySelector('.navbar-nav');
-                if (navbar) {
-                    const toggle = document.querySelector('[data-navbar-toggle]');
-                    if (toggle) toggle.click();
-                }
-            }
-        });
-    }
+    // WCAG contrast checks for theme tokens and rendered components (development aid)
+    class ContrastChecker {
+        constructor(framework) {
+            this.framework = framework;
+        }
 
-    initScreenReaderSupport() {
-        // Live region for dynamic content announcements
-        const liveRegion = document.createElement('div');
-        liveRegion.setAttribute('aria-live', 'polite');
-        liveRegion.setAttribute('aria-atomic', 'true');
-        liveRegion.className = 'sr-only';
-        liveRegion.id = 'live-region';
-        document.body.appendChild(liveRegion);
-    }
+        // Token pairs checked in every theme unless limited with `themes` (theme names or color schemes,
+        // so registered brand themes pick up the light or dark pairs); `large` uses the large-text thresholds
+        static get tokenPairs() {
+            return [
+                { name: 'Body text', foreground: '--gray-900', background: '--gray-50', themes: ['light'] },
+                { name: 'Dark body text', foreground: '--dark-text-primary', background: '--dark-bg-primary', themes: ['dark'] },
+                { name: 'Dark muted text', foreground: '--dark-text-muted', background: '--dark-bg-secondary', themes: ['dark'] },
+                { name: 'Primary button', foreground: '#ffffff', background: '--primary-500', themes: ['light'] },
+                { name: 'Secondary button', foreground: '#ffffff', background: '--secondary-500', themes: ['light'] },
+                { name: 'Dark primary button', foreground: '--dark-text-primary', background: '--primary-600', themes: ['dark'] },
+                { name: 'Primary badge', foreground: '--primary-800', background: '--primary-100', themes: ['light'] },
+                { name: 'Secondary badge', foreground: '--secondary-800', background: '--secondary-100', themes: ['light'] },
+                { name: 'Success badge', foreground: '--success-700', background: '--success-100', themes: ['light'] },
+                { name: 'Warning badge', foreground: '--warning-700', background: '--warning-100', themes: ['light'] },
+                { name: 'Danger badge', foreground: '--danger-700', background: '--danger-100', themes: ['light'] },
+                { name: 'Info badge', foreground: '--info-700', background: '--info-100', themes: ['light'] }
+            ];
+        }
 
-    announceToScreenReader(message) {
-        const liveRegion = document.getElementById('live-region');
-        if (liveRegion) {
-            liveRegion.textContent = message;
-            setTimeout(() => {
-                liveRegion.textContent = '';
-            }, 1000);
+        static get componentSelector() {
+            return '.btn, .badge, .alert, .toast, .tab-button, .dropdown-item, .navbar-link, .form-label, [data-contrast-check]';
         }
-    }
 
-    // Performance Optimizations
-    initPerformanceOptimizations() {
-        // Debounced resize handler
-        let resizeTimeout;
-        window.addEventListener('resize', () => {
-            clearTimeout(resizeTimeout);
-            resizeTimeout = setTimeout(() => {
-                this.handleResize();
-            }, 250);
-        });
-
-        // Intersection Observer for performance
-        this.initLazyLoading();
-        
-        // Prefetch important resources
-        this.prefetchResources();
-    }
+        static luminance([r, g, b]) {
+            const [R, G, B] = [r, g, b].map(channel => {
+                const c = channel / 255;
+                return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+            });
+            return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+        }
+
+        static ratio(foreground, background) {
+            const L1 = ContrastChecker.luminance(foreground);
+            const L2 = ContrastChecker.luminance(background);
+            return (Math.max(L1, L2) + 0.05) / (Math.min(L1, L2) + 0.05);
+        }
 
-    handleResize() {
-        // Reposition dropdowns and tooltips
-        document.querySelectorAll('[data-dropdown].active').forEach(dropdown => {
-            const menu = dropdown.querySelector('.dropdown-menu');
-            if (menu) {
-                this.positionDropdown(dropdown, menu);
+        static rate(ratio, large = false) {
+            const aa = ratio >= (large ? 3 : 4.5);
+            const aaa = ratio >= (large ? 4.5 : 7);
+            return { aa, aaa, level: aaa ? 'AAA' : aa ? 'AA' : 'fail' };
+        }
+
+        // Parses rgb()/rgba()/hex into [r, g, b, a]
+        static parseColor(value) {
+            const rgba = String(value).match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?/i);
+            if (rgba) {
+                let alpha = rgba[4] === undefined ? 1 : parseFloat(rgba[4]);
+                if (String(rgba[4]).endsWith('%')) alpha /= 100;
+                return [parseFloat(rgba[1]), parseFloat(rgba[2]), parseFloat(rgba[3]), alpha];
             }
-        });
 
-        this.emit('easycss:resize', { width: window.innerWidth, height: window.innerHeight });
-    }
+            const rgb = DesignTokens.parseColor(value);
+            return rgb ? [...rgb, 1] : null;
+        }
 
-    initLazyLoading() {
-        if (!('IntersectionObserver' in window)) return;
-
-        const lazyElements = document.querySelectorAll('[data-lazy]');
-        
-        const lazyObserver = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const element = entry.target;
-                    const src = element.getAttribute('data-lazy');
-                    
-                    if (element.tagName === 'IMG') {
-                        element.src = src;
-                    } else {
-                        element.style.backgroundImage = `url(${src})`;
-                    }
-                    
-                    element.removeAttribute('data-lazy');
-                    lazyObserver.unobserve(element);
-                }
-            });
-        });
+        static blend([r, g, b, a], [br, bg, bb]) {
+            return [r * a + br * (1 - a), g * a + bg * (1 - a), b * a + bb * (1 - a), 1];
+        }
 
-        lazyElements.forEach(element => {
-            lazyObserver.observe(element);
-        });
+        audit(options = {}) {
+            const framework = this.framework;
+            const themes = options.themes || Array.from(framework.themes.keys());
+            const pairs = options.pairs || ContrastChecker.tokenPairs;
+            const results = [];
 
-        this.observers.set('lazy', lazyObserver);
-    }
+            themes.forEach(theme => {
+                results.push(...this.auditTokens(theme, pairs));
+            });
 
-    prefetchResources() {
-        // Prefetch critical resources
-        const criticalResources = [
-            // Add URLs of critical resources here
-        ];
-
-        criticalResources.forEach(url => {
-            const link = document.createElement('link');
-            link.rel = 'prefetch';
-            link.href = url;
-            document.head.appendChild(link);
-        });
-    }
+            if (options.components !== false) {
+                results.push(...this.auditComponents(options.root || framework.root, options.limit || 200));
+            }
 
-    // Utility Methods
-    static debounce(func, wait) {
-        let timeout;
-        return function executedFunction(...args) {
-            const later = () => {
-                clearTimeout(timeout);
-                func(...args);
+            const report = {
+                theme: framework.theme,
+                results,
+                failures: results.filter(result => !result.aa)
             };
-            clearTimeout(timeout);
-            timeout = setTimeout(later, wait);
-        };
-    }
 
-    static throttle(func, limit) {
-        let inThrottle;
-        return function() {
-            const args = arguments;
-            const context = this;
-            if (!inThrottle) {
-                func.apply(context, args);
-                inThrottle = true;
-                setTimeout(() => inThrottle = false, limit);
-            }
-        };
-    }
+            if (options.log !== false) {
+                this.log(report);
+            }
 
-    // Enhanced Event System
-    on(event, callback) {
-        document.addEventListener(event, callback);
-        return this;
-    }
+            framework.emit('easycss:contrast-audit', { report });
+            return report;
+        }
 
-    off(event, callback) {
-        document.removeEventListener(event, callback);
-        return this;
-    }
+        // Resolves tokens on a detached-from-view probe carrying data-theme, so every theme can be checked
+        // without switching the page (and without catching mid-transition colors)
+        auditTokens(theme, pairs) {
+            const probe = document.createElement('div');
+            probe.setAttribute('data-theme', theme);
+            probe.setAttribute('aria-hidden', 'true');
+            probe.style.cssText = 'position:absolute;width:0;height:0;overflow:hidden;visibility:hidden;transition:none;';
+            document.body.appendChild(probe);
+
+            const resolve = (token) => {
+                const value = token.startsWith('--')
+                    ? getComputedStyle(probe).getPropertyValue(token).trim()
+                    : token;
+                if (!value) return null;
+
+                probe.style.color = '';
+                probe.style.color = value;
+                return ContrastChecker.parseColor(getComputedStyle(probe).color) || ContrastChecker.parseColor(value);
+            };
 
-    emit(event, data = {}) {
-        const customEvent = new CustomEvent(event, { 
-            detail: { ...data, timestamp: Date.now() } 
-        });
-        document.dispatchEvent(customEvent);
-        return this;
-    }
+            const definition = this.framework.themes.get(theme);
+            const scheme = definition ? definition.colorScheme : null;
 
-    // Component Management
-    registerComponent(name, component) {
-        this.components.set(name, component);
-        return this;
-    }
+            const results = pairs
+                .filter(pair => !pair.themes || pair.themes.includes(theme) || pair.themes.includes(scheme))
+                .map(pair => {
+                    const foreground = resolve(pair.foreground);
+                    const background = resolve(pair.background);
+                    const result = { type: 'token', theme, name: pair.name, foreground: pair.foreground, background: pair.background };
 
-    getComponent(name) {
-        return this.components.get(name);
-    }
+                    if (!foreground || !background) {
+                        return { ...result, ratio: null, aa: false, aaa: false, level: 'unresolved' };
+                    }
 
-    // Cleanup
-    destroy() {
-        // Clean up observers
-        this.observers.forEach(observer => {
-            observer.disconnect();
-        });
-        this.observers.clear();
-
-        // Clean up components
-        this.components.clear();
-
-        // Remove event listeners
-        // (In a real implementation, you'd track and remove all listeners)
-        
-        this.emit('easycss:destroyed');
-    }
+                    const ratio = ContrastChecker.ratio(ContrastChecker.blend(foreground, background), background);
+                    return { ...result, ratio: Math.round(ratio * 100) / 100, ...ContrastChecker.rate(ratio, pair.large) };
+                });
 
-    // Public API Methods
-    showModal(modalId) {
-        return this.openModal(modalId);
-    }
+            probe.remove();
+            return results;
+        }
 
-    hideModal(modal) {
-        return this.closeModal(modal);
-    }
+        // Checks what is actually rendered, in the current theme only
+        auditComponents(root, limit) {
+            const elements = Array.from(root.querySelectorAll(ContrastChecker.componentSelector)).slice(0, limit);
+
+            return elements
+                .filter(element => element.getClientRects().length && element.textContent.trim())
+                .map(element => {
+                    const style = getComputedStyle(element);
+                    const backgrounds = this.getEffectiveBackgrounds(element);
+                    const color = ContrastChecker.parseColor(style.color);
+                    if (!color) return null;
+
+                    // Gradients are judged by their weakest stop
+                    const ratio = Math.min(...backgrounds.map(background => {
+                        return ContrastChecker.ratio(ContrastChecker.blend(color, background), background);
+                    }));
+
+                    const fontSize = parseFloat(style.fontSize);
+                    const large = fontSize >= 24 || (fontSize >= 18.66 && parseInt(style.fontWeight, 10) >= 700);
+
+                    return {
+                        type: 'component',
+                        theme: this.framework.theme,
+                        name: this.describe(element),
+                        element,
+                        foreground: style.color,
+                        background: backgrounds.map(ContrastChecker.toCss).join(' → '),
+                        ratio: Math.round(ratio * 100) / 100,
+                        ...ContrastChecker.rate(ratio, large)
+                    };
+                })
+                .filter(Boolean);
+        }
 
-    showDropdown(dropdown) {
-        return this.openDropdown(dropdown);
-    }
+        getEffectiveBackgrounds(element) {
+            const layers = [];
+            for (let node = element; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+                const style = getComputedStyle(node);
+                const stops = (style.backgroundImage.match(/rgba?\([^)]+\)|#[0-9a-f]{3,6}\b/gi) || [])
+                    .map(ContrastChecker.parseColor)
+                    .filter(Boolean);
+                const color = ContrastChecker.parseColor(style.backgroundColor);
+
+                if (stops.length) {
+                    layers.push(stops);
+                    if (stops.every(stop => stop[3] === 1)) break;
+                } else if (color && color[3] > 0) {
+                    layers.push([color]);
+                    if (color[3] === 1) break;
+                }
+            }
 
-    hideDropdown(dropdown) {
-        return this.closeDropdown(dropdown);
-    }
+            // Composite from the page background upwards
+            return layers.reverse().reduce((below, layer) => {
+                const result = [];
+                layer.forEach(top => below.forEach(bottom => result.push(ContrastChecker.blend(top, bottom))));
+                return result;
+            }, [[255, 255, 255, 1]]);
+        }
 
-    notify(config) {
-        return this.showToast(config);
-    }
+        static toCss([r, g, b]) {
+            return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+        }
 
-    setDirection(direction) {
-        document.documentElement.dir = direction;
-        this.direction = direction;
-        this.emit('easycss:direction-changed', { direction });
-        return this;
-    }
+        describe(element) {
+            const classes = Array.from(element.classList).slice(0, 3).map(name => `.${name}`).join('');
+            const text = element.textContent.trim().replace(/\s+/g, ' ').slice(0, 24);
+            return `${element.tagName.toLowerCase()}${classes} "${text}"`;
+        }
 
-    getTheme() {
-        return this.theme;
-    }
+        log(report) {
+            const themes = Array.from(new Set(report.results.map(result => result.theme)));
 
-    getDirection() {
-        return this.direction;
+            console.group(`EasyCSS contrast audit: ${report.failures.length} of ${report.results.length} checks below AA`);
+            themes.forEach(theme => {
+                const rows = report.results
+                    .filter(result => result.theme === theme)
+                    .map(({ type, name, foreground, background, ratio, level }) => ({ type, name, foreground, background, ratio, level }));
+                console.log(`Theme: ${theme}`);
+                console.table(rows);
+            });
+            console.groupEnd();
+        }
     }
 
-    // Version and info
-    static get version() {
-        return '2.0.0';
+    EasyCSSEnhanced.Component = EasyComponent;
+    EasyCSSEnhanced.Modal = Modal;
+    EasyCSSEnhanced.Drawer = Drawer;
+    EasyCSSEnhanced.ModalManager = ModalManager;
+    EasyCSSEnhanced.ToastManager = ToastManager;
+    EasyCSSEnhanced.FocusTrap = FocusTrap;
+    EasyCSSEnhanced.Positioner = Positioner;
+    EasyCSSEnhanced.Dropdown = Dropdown;
+    EasyCSSEnhanced.Tabs = Tabs;
+    EasyCSSEnhanced.Accordion = Accordion;
+    EasyCSSEnhanced.Tooltip = Tooltip;
+    EasyCSSEnhanced.FormValidator = FormValidator;
+    EasyCSSEnhanced.Combobox = Combobox;
+    EasyCSSEnhanced.DataTable = DataTable;
+    EasyCSSEnhanced.DesignTokens = DesignTokens;
+    EasyCSSEnhanced.ContrastChecker = ContrastChecker;
+
+    // Named exports for module consumers; toast and theme act on the default instance
+    const getDefaultInstance = () => (EasyCSSEnhanced.instance || new EasyCSSEnhanced()).mount();
+
+    const toast = (config) => getDefaultInstance().showToast(config);
+    toast.show = toast;
+    toast.hide = (element) => getDefaultInstance().hideToast(element);
+    toast.update = (id, config) => getDefaultInstance().updateToast(id, config);
+    toast.promise = (promise, messages, config) => getDefaultInstance().toastPromise(promise, messages, config);
+
+    const dialog = {
+        confirm: (options) => getDefaultInstance().confirm(options),
+        prompt: (options) => getDefaultInstance().prompt(options),
+        alert: (options) => getDefaultInstance().alert(options)
+    };
+
+    const tooltip = {
+        show: (element) => getDefaultInstance().showTooltip(element),
+        hide: (element) => getDefaultInstance().hideTooltip(element),
+        update: (element, content, options) => getDefaultInstance().updateTooltip(element, content, options)
+    };
+
+    const theme = {
+        get: () => getDefaultInstance().getTheme(),
+        set: (name) => getDefaultInstance().setTheme(name),
+        toggle: () => getDefaultInstance().toggleTheme(),
+        useSystem: () => getDefaultInstance().useSystemTheme(),
+        preference: () => getDefaultInstance().getThemePreference(),
+        register: (name, definition) => getDefaultInstance().registerTheme(name, definition),
+        list: () => getDefaultInstance().getThemes()
+    };
+
+    const api = {
+        EasyCSSEnhanced,
+        Component: EasyComponent,
+        Modal,
+        Drawer,
+        Dropdown,
+        Tabs,
+        Accordion,
+        Tooltip,
+        FormValidator,
+        Combobox,
+        DataTable,
+        DesignTokens,
+        ContrastChecker,
+        FocusTrap,
+        Positioner,
+        toast,
+        tooltip,
+        theme,
+        dialog,
+        renderHtmlAttributes: EasyCSSEnhanced.renderHtmlAttributes,
+        renderThemeScript: EasyCSSEnhanced.renderThemeScript,
+        debounce: EasyCSSEnhanced.debounce,
+        throttle: EasyCSSEnhanced.throttle,
+        version: EasyCSSEnhanced.version
+    };
+
+    // Loaded through a module system: no instance and no globals until the app asks for them
+    if (!isGlobalScript) {
+        return api;
     }
 
-    static get info() {
-        return {
-            name: 'EasyCSS Enhanced',
-            version: this.version,
-            author: 'EasyCSS Team',
-            description: 'A comprehensive utility-first CSS framework with enhanced features',
-            features: [
-                'Utility-first approach',
-                'Interactive JavaScript components',
-                'RTL language support',
-                'Advanced dark mode',
-                'Beautiful animations',
-                'Accessibility-first design',
-                'Performance optimized',
-                'Modern CSS features'
-            ]
-        };
-    }
-}
+    // Page-level configuration, e.g. window.EasyCSSConfig = { autoInit: false, globals: false }
+    const easyCSSConfig = root.EasyCSSConfig || {};
 
-// Initialize EasyCSS Enhanced when the script loads
-const easyCSSEnhanced = new EasyCSSEnhanced();
+    // Make EasyCSS globally available
+    root.EasyCSSEnhanced = EasyCSSEnhanced;
 
-// Make EasyCSS globally available
-window.EasyCSSEnhanced = EasyCSSEnhanced;
-window.easyCSSEnhanced = easyCSSEnhanced;
+    // Initialize EasyCSS Enhanced when the script loads
+    if (easyCSSConfig.autoInit !== false) {
+        const easyCSSEnhanced = new EasyCSSEnhanced(easyCSSConfig).mount();
+        root.easyCSSEnhanced = easyCSSEnhanced;
 
-// Export utilities for convenience
-window.showToast = (config) => easyCSSEnhanced.showToast(config);
-window.showModal = (modalId) => easyCSSEnhanced.openModal(modalId);
-window.hideModal = (modal) => easyCSSEnhanced.closeModal(modal);
-window.toggleTheme = () => easyCSSEnhanced.toggleTheme();
-window.setTheme = (theme) => easyCSSEnhanced.setTheme(theme);
-window.setDirection = (direction) => easyCSSEnhanced.setDirection(direction);
+        // Export utilities for convenience
+        if (easyCSSConfig.globals !== false) {
+            EasyCSSEnhanced.exposeGlobals(easyCSSEnhanced, root);
+        }
+    }
 
-// Console welcome message
-console.log(`
+    // Console welcome message
+    if (!easyCSSConfig.silent) {
+        console.log(`
 🎨 EasyCSS Enhanced v${EasyCSSEnhanced.version} loaded successfully!
 
 API:
@@ -1070,6 +6356,7 @@ API:
 - easyCSSEnhanced.showModal(id)
 - easyCSSEnhanced.toggleTheme()
 - easyCSSEnhanced.setDirection('rtl'|'ltr')
+- EasyCSSEnhanced.Modal.getOrCreate(element).open()
 
 Events:
 - easycss:ready
@@ -1079,3 +6366,7 @@ Events:
 
 Happy coding! 🚀
 `);
+    }
+
+    return api;
+});